@@ -0,0 +1,345 @@
+import express from "express";
+import { pool } from "../config/database.mjs";
+import { authenticateToken, authorizeRole } from "../middleware/auth.mjs";
+import { revokeAllUserTokens } from "../services/tokens.mjs";
+import { recordSecurityEvent } from "../services/loginThrottle.mjs";
+import { FOOD_COLUMNS } from "../services/foods.mjs";
+
+const router = express.Router();
+
+const ROLES = ["user", "admin"];
+
+// Every admin route requires an authenticated admin
+router.use(authenticateToken, authorizeRole("admin"));
+
+// List exercises in the shared catalog
+router.get("/exercises", async (req, res) => {
+  try {
+    const { search } = req.query;
+
+    const result = await pool.query(
+      `SELECT id, name, body_part, equipment, target, instructions, created_at
+       FROM exercises
+       WHERE $1::text IS NULL OR name ILIKE '%' || $1 || '%'
+       ORDER BY name`,
+      [search || null]
+    );
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error("Error fetching exercises:", error);
+    res.status(500).json({ message: "Error fetching exercises" });
+  }
+});
+
+// Add an exercise to the shared catalog
+router.post("/exercises", async (req, res) => {
+  try {
+    const { name, body_part, equipment, target, instructions } = req.body;
+
+    if (!name || typeof name !== 'string') {
+      return res.status(400).json({ message: "Exercise name is required" });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO exercises (name, body_part, equipment, target, instructions)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (name) DO NOTHING
+       RETURNING *`,
+      [name.trim(), body_part, equipment, target, instructions]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(400).json({ message: "An exercise with that name already exists" });
+    }
+
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    console.error("Error creating exercise:", error);
+    res.status(500).json({
+      message: "Error creating exercise",
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Update an exercise in the shared catalog
+router.put("/exercises/:id", async (req, res) => {
+  try {
+    const { name, body_part, equipment, target, instructions } = req.body;
+
+    const result = await pool.query(
+      `UPDATE exercises
+       SET name = COALESCE($1, name),
+           body_part = COALESCE($2, body_part),
+           equipment = COALESCE($3, equipment),
+           target = COALESCE($4, target),
+           instructions = COALESCE($5, instructions)
+       WHERE id = $6
+       RETURNING *`,
+      [name?.trim(), body_part, equipment, target, instructions, req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "Exercise not found" });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(400).json({ message: "An exercise with that name already exists" });
+    }
+    console.error("Error updating exercise:", error);
+    res.status(500).json({
+      message: "Error updating exercise",
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Remove an exercise from the shared catalog
+router.delete("/exercises/:id", async (req, res) => {
+  try {
+    const result = await pool.query(
+      "DELETE FROM exercises WHERE id = $1 RETURNING id",
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "Exercise not found" });
+    }
+
+    res.json({ message: "Exercise deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting exercise:", error);
+    res.status(500).json({ message: "Error deleting exercise" });
+  }
+});
+
+// Barcode foods submitted by users, waiting for review
+router.get("/foods/pending", async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${FOOD_COLUMNS}, u.username AS submitted_by
+       FROM foods f
+       LEFT JOIN users u ON u.id = f.created_by
+       WHERE f.status = 'pending'
+       ORDER BY f.created_at`
+    );
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error("Error fetching pending foods:", error);
+    res.status(500).json({ message: "Error fetching pending foods" });
+  }
+});
+
+// Approve or reject a pending food. Rejected foods are hidden and their
+// barcode can be submitted again.
+function reviewFood(status) {
+  return async (req, res) => {
+    try {
+      const result = await pool.query(
+        `UPDATE foods
+         SET status = $1,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2
+         AND status = 'pending'
+         RETURNING *`,
+        [status, req.params.id]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ message: "Pending food not found" });
+      }
+
+      res.json(result.rows[0]);
+    } catch (error) {
+      console.error("Error reviewing food:", error);
+      res.status(500).json({ message: "Error reviewing food" });
+    }
+  };
+}
+
+router.put("/foods/:id/approve", reviewFood("approved"));
+router.put("/foods/:id/reject", reviewFood("rejected"));
+
+// List users
+router.get("/users", async (req, res) => {
+  try {
+    const { search } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const result = await pool.query(
+      `SELECT
+         u.id,
+         u.username,
+         u.email,
+         u.name,
+         u.role,
+         u.email_verified,
+         u.disabled_at,
+         u.created_at,
+         (SELECT MAX(last_seen_at) FROM sessions WHERE user_id = u.id) AS last_seen_at,
+         COUNT(*) OVER() AS total_count
+       FROM users u
+       WHERE $1::text IS NULL
+       OR u.username ILIKE '%' || $1 || '%'
+       OR u.email ILIKE '%' || $1 || '%'
+       ORDER BY u.created_at DESC
+       LIMIT $2 OFFSET $3`,
+      [search || null, limit, offset]
+    );
+
+    res.json({
+      users: result.rows.map(({ total_count, ...user }) => user),
+      total: parseInt(result.rows[0]?.total_count || 0),
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error("Error fetching users:", error);
+    res.status(500).json({ message: "Error fetching users" });
+  }
+});
+
+// Disable a user and end all of their sessions
+router.put("/users/:id/disable", async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const userId = parseInt(req.params.id);
+
+    if (userId === req.user.id) {
+      return res.status(400).json({ message: "You cannot disable your own account" });
+    }
+
+    await client.query("BEGIN");
+
+    const result = await client.query(
+      `UPDATE users
+       SET disabled_at = COALESCE(disabled_at, CURRENT_TIMESTAMP),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING id, username, disabled_at`,
+      [userId]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    await revokeAllUserTokens(client, userId);
+    await recordSecurityEvent(client, userId, "account_disabled", req, { by: req.user.id });
+
+    await client.query("COMMIT");
+    res.json(result.rows[0]);
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("Error disabling user:", error);
+    res.status(500).json({ message: "Error disabling user" });
+  } finally {
+    client.release();
+  }
+});
+
+// Re-enable a disabled user
+router.put("/users/:id/enable", async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const userId = parseInt(req.params.id);
+
+    await client.query("BEGIN");
+
+    const result = await client.query(
+      `UPDATE users
+       SET disabled_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING id, username, disabled_at`,
+      [userId]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    await recordSecurityEvent(client, userId, "account_enabled", req, { by: req.user.id });
+
+    await client.query("COMMIT");
+    res.json(result.rows[0]);
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("Error enabling user:", error);
+    res.status(500).json({ message: "Error enabling user" });
+  } finally {
+    client.release();
+  }
+});
+
+// Change a user's role
+router.put("/users/:id/role", async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        message: `Role must be one of: ${ROLES.join(", ")}`
+      });
+    }
+
+    if (userId === req.user.id && role !== "admin") {
+      return res.status(400).json({ message: "You cannot remove your own admin role" });
+    }
+
+    const result = await pool.query(
+      `UPDATE users
+       SET role = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2
+       RETURNING id, username, role`,
+      [role, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error("Error updating user role:", error);
+    res.status(500).json({ message: "Error updating user role" });
+  }
+});
+
+// Usage overview
+router.get("/usage", async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT
+        (SELECT COUNT(*) FROM users) AS total_users,
+        (SELECT COUNT(*) FROM users WHERE disabled_at IS NOT NULL) AS disabled_users,
+        (SELECT COUNT(*) FROM users WHERE created_at >= NOW() - INTERVAL '30 days') AS new_users_30d,
+        (SELECT COUNT(DISTINCT user_id) FROM sessions WHERE last_seen_at >= NOW() - INTERVAL '1 day') AS active_users_1d,
+        (SELECT COUNT(DISTINCT user_id) FROM sessions WHERE last_seen_at >= NOW() - INTERVAL '7 days') AS active_users_7d,
+        (SELECT COUNT(DISTINCT user_id) FROM sessions WHERE last_seen_at >= NOW() - INTERVAL '30 days') AS active_users_30d,
+        (SELECT COUNT(*) FROM workout_logs) AS total_workouts,
+        (SELECT COUNT(*) FROM workout_logs WHERE created_at >= NOW() - INTERVAL '7 days') AS workouts_7d,
+        (SELECT COUNT(*) FROM food_logs) AS total_food_logs,
+        (SELECT COUNT(*) FROM food_logs WHERE created_at >= NOW() - INTERVAL '7 days') AS food_logs_7d,
+        (SELECT COUNT(*) FROM exercises) AS total_exercises
+    `);
+
+    const usage = Object.fromEntries(
+      Object.entries(result.rows[0]).map(([key, value]) => [key, parseInt(value)])
+    );
+
+    res.json({ ...usage, generatedAt: new Date() });
+  } catch (error) {
+    console.error("Error fetching usage:", error);
+    res.status(500).json({ message: "Error fetching usage" });
+  }
+});
+
+export default router;
@@ -1,10 +1,36 @@
 import express from "express";
 import bcrypt from "bcrypt";
-import jwt from "jsonwebtoken";
 import { pool } from "../config/database.mjs";
+import { authenticateToken } from "../middleware/auth.mjs";
+import {
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeSession,
+  revokeAccessToken,
+  revokeAllUserTokens,
+  generateToken,
+  hashToken,
+  signChallengeToken,
+  verifyChallengeToken,
+} from "../services/tokens.mjs";
+import { verifySecondFactor } from "../services/totp.mjs";
+import { sendMail, appUrl } from "../services/mailer.mjs";
+import { sendVerificationEmail, getResendRetryAfter } from "../services/emailVerification.mjs";
+import {
+  getIpRetryAfter,
+  getAccountRetryAfter,
+  isAccountLocked,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  clearFailedLogins,
+  recordSecurityEvent,
+} from "../services/loginThrottle.mjs";
 
 const router = express.Router();
 
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || "60");
+
 // User Registration
 router.post("/signup", async (req, res) => {
   const client = await pool.connect();
@@ -36,9 +62,10 @@ router.post("/signup", async (req, res) => {
     // Begin transaction
     await client.query('BEGIN');
 
-    // Check if username or email already exists
+    // Check if username or email already exists. Emails differing only in
+    // case belong to the same mailbox.
     const userCheck = await client.query(
-      "SELECT username, email FROM users WHERE username = $1 OR email = $2",
+      "SELECT username, email FROM users WHERE username = $1 OR LOWER(email) = LOWER($2)",
       [username, email]
     );
 
@@ -47,9 +74,7 @@ router.post("/signup", async (req, res) => {
       if (existing.username === username) {
         return res.status(400).json({ message: "Username already taken" });
       }
-      if (existing.email === email) {
-        return res.status(400).json({ message: "Email already registered" });
-      }
+      return res.status(400).json({ message: "Email already registered" });
     }
 
     // Hash password
@@ -60,7 +85,7 @@ router.post("/signup", async (req, res) => {
     const result = await client.query(
       `INSERT INTO users (username, email, password) 
        VALUES ($1, $2, $3) 
-       RETURNING id, username, email`,
+       RETURNING id, username, email, role`,
       [username, email, hashedPassword]
     );
 
@@ -74,25 +99,35 @@ router.post("/signup", async (req, res) => {
     // Commit transaction
     await client.query('COMMIT');
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: result.rows[0].id, username: result.rows[0].username },
-      process.env.JWT_SECRET,
-      { expiresIn: "24h" }
-    );
+    // A failed confirmation email should not fail the signup; the user can
+    // ask for another one
+    try {
+      await sendVerificationEmail(client, result.rows[0], email);
+    } catch (mailError) {
+      console.error("Error sending verification email:", mailError);
+    }
+
+    // Generate access and refresh tokens
+    const tokens = await issueTokens(client, result.rows[0], req);
 
     res.status(201).json({
       message: "User registered successfully",
-      token,
+      ...tokens,
       user: {
         id: result.rows[0].id,
         username: result.rows[0].username,
-        email: result.rows[0].email
+        email: result.rows[0].email,
+        role: result.rows[0].role,
+        emailVerified: false
       }
     });
 
   } catch (error) {
     await client.query('ROLLBACK');
+    // Another signup took the username or email first
+    if (error.code === "23505") {
+      return res.status(400).json({ message: "Username or email already registered" });
+    }
     console.error("Error in signup:", error);
     res.status(500).json({ 
       message: "Error creating user account",
@@ -103,52 +138,92 @@ router.post("/signup", async (req, res) => {
   }
 });
 
-// User Login
+// User Login (by username or email)
 router.post("/login", async (req, res) => {
   const client = await pool.connect();
   try {
-    const { username, password } = req.body;
+    const { password } = req.body;
+    const identifier = req.body.identifier || req.body.username || req.body.email;
 
     // Validate required fields
-    if (!username || !password) {
+    if (typeof identifier !== "string" || !identifier || typeof password !== "string" || !password) {
       return res.status(400).json({ 
-        message: "Username and password are required" 
+        message: "Username or email and password are required" 
+      });
+    }
+
+    // Slow down clients hammering the endpoint from one address
+    const ipRetryAfter = await getIpRetryAfter(client, req.ip);
+    if (ipRetryAfter > 0) {
+      res.set("Retry-After", String(ipRetryAfter));
+      return res.status(429).json({ 
+        message: "Too many failed login attempts. Please try again later.",
+        retryAfter: ipRetryAfter
       });
     }
 
     // Check if user exists
     const result = await client.query(
-      "SELECT id, username, email, password FROM users WHERE username = $1",
-      [username]
+      `SELECT id, username, email, email_verified, password, role, disabled_at,
+              failed_login_count, last_failed_login_at, locked_until,
+              totp_enabled_at
+       FROM users
+       WHERE ${identifier.includes("@") ? "LOWER(email) = LOWER($1)" : "username = $1"}`,
+      [identifier]
     );
 
-    if (result.rows.length === 0) {
-      return res.status(400).json({ message: "Invalid credentials" });
+    const user = result.rows[0];
+
+    if (user && isAccountLocked(user)) {
+      return res.status(423).json({ 
+        message: "Account temporarily locked after too many failed attempts. Reset your password to unlock it.",
+        lockedUntil: user.locked_until
+      });
+    }
+
+    const accountRetryAfter = user ? getAccountRetryAfter(user) : 0;
+    if (accountRetryAfter > 0) {
+      res.set("Retry-After", String(accountRetryAfter));
+      return res.status(429).json({ 
+        message: "Too many failed login attempts. Please wait before trying again.",
+        retryAfter: accountRetryAfter
+      });
     }
 
     // Validate password
-    const validPassword = await bcrypt.compare(password, result.rows[0].password);
+    const validPassword = user && await bcrypt.compare(password, user.password);
     if (!validPassword) {
+      await recordFailedLogin(client, req, identifier, user);
       return res.status(400).json({ message: "Invalid credentials" });
     }
 
-    // Generate token
-    const token = jwt.sign(
-      { 
-        id: result.rows[0].id, 
-        username: result.rows[0].username 
-      }, 
-      process.env.JWT_SECRET,
-      { expiresIn: "24h" }
-    );
+    if (user.disabled_at) {
+      return res.status(403).json({ message: "This account has been disabled" });
+    }
+
+    // With 2FA enabled the password alone only earns a challenge token
+    if (user.totp_enabled_at) {
+      return res.json({
+        message: "Two-factor authentication required",
+        twoFactorRequired: true,
+        challengeToken: signChallengeToken(user)
+      });
+    }
+
+    await recordSuccessfulLogin(client, req, identifier, user);
+
+    // Generate access and refresh tokens
+    const tokens = await issueTokens(client, user, req);
 
     res.json({
       message: "Login successful",
-      token,
+      ...tokens,
       user: {
-        id: result.rows[0].id,
-        username: result.rows[0].username,
-        email: result.rows[0].email
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        role: user.role,
+        emailVerified: user.email_verified
       }
     });
 
@@ -163,4 +238,462 @@ router.post("/login", async (req, res) => {
   }
 });
 
+// Complete a two-factor login with a TOTP or recovery code
+router.post("/2fa/verify", async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ 
+        message: "Challenge token and a code or recovery code are required" 
+      });
+    }
+
+    const challenge = verifyChallengeToken(challengeToken);
+    if (!challenge) {
+      return res.status(401).json({ message: "Invalid or expired challenge token" });
+    }
+
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `SELECT id, username, email, email_verified, role, disabled_at,
+              failed_login_count, last_failed_login_at, locked_until,
+              totp_secret, totp_enabled_at, totp_last_used_step
+       FROM users
+       WHERE id = $1
+       FOR UPDATE`,
+      [challenge.id]
+    );
+
+    const user = result.rows[0];
+
+    if (!user || !user.totp_enabled_at) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({ message: "Invalid or expired challenge token" });
+    }
+
+    if (user.disabled_at) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ message: "This account has been disabled" });
+    }
+
+    if (isAccountLocked(user)) {
+      await client.query('ROLLBACK');
+      return res.status(423).json({ 
+        message: "Account temporarily locked after too many failed attempts. Reset your password to unlock it.",
+        lockedUntil: user.locked_until
+      });
+    }
+
+    const retryAfter = getAccountRetryAfter(user);
+    if (retryAfter > 0) {
+      await client.query('ROLLBACK');
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({ 
+        message: "Too many failed login attempts. Please wait before trying again.",
+        retryAfter
+      });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const valid = await verifySecondFactor(client, user, { code, recoveryCode });
+    if (!valid) {
+      await recordFailedLogin(client, req, user.username, user);
+      await client.query('COMMIT');
+      return res.status(400).json({ message: "Invalid authentication code" });
+    }
+
+    await recordSuccessfulLogin(client, req, user.username, user);
+    if (recoveryCode) {
+      await recordSecurityEvent(client, user.id, "recovery_code_used", req);
+    }
+
+    const tokens = await issueTokens(client, user, req);
+
+    await client.query('COMMIT');
+
+    res.json({
+      message: "Login successful",
+      ...tokens,
+      user: {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        role: user.role,
+        emailVerified: user.email_verified
+      }
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error("Error verifying two-factor code:", error);
+    res.status(500).json({ 
+      message: "Server error",
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Exchange a refresh token for a new token pair
+router.post("/refresh", async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: "Refresh token is required" });
+    }
+
+    await client.query('BEGIN');
+    const tokens = await rotateRefreshToken(client, refreshToken, req);
+    await client.query('COMMIT');
+
+    if (!tokens) {
+      return res.status(401).json({ message: "Invalid or expired refresh token" });
+    }
+
+    res.json({
+      token: tokens.token,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn,
+      refreshExpiresAt: tokens.refreshExpiresAt,
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error("Error refreshing token:", error);
+    res.status(500).json({ 
+      message: "Server error",
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Logout: end the current session and revoke its access token
+router.post("/logout", authenticateToken, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { refreshToken } = req.body;
+
+    await client.query('BEGIN');
+
+    await revokeAccessToken(client, req.user);
+
+    if (req.user.sid) {
+      await revokeSession(client, req.user.id, req.user.sid);
+    }
+
+    // Tokens issued before sessions existed are revoked by family
+    if (refreshToken) {
+      await revokeRefreshToken(client, refreshToken, req.user.id);
+    }
+
+    await client.query('COMMIT');
+
+    res.json({ message: "Logged out successfully" });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error("Error in logout:", error);
+    res.status(500).json({ 
+      message: "Server error",
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Request a password reset link
+router.post("/forgot-password", async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: "Email is required" });
+    }
+
+    // Respond the same way whether or not the account exists
+    const genericResponse = {
+      message: "If an account exists for that email, a reset link has been sent"
+    };
+
+    // Reset links only go to addresses the user has confirmed
+    const result = await client.query(
+      `SELECT id, username, email FROM users
+       WHERE LOWER(email) = LOWER($1) AND email_verified = true`,
+      [email]
+    );
+
+    if (result.rows.length === 0) {
+      return res.json(genericResponse);
+    }
+
+    const user = result.rows[0];
+    const resetToken = generateToken();
+
+    await client.query('BEGIN');
+
+    // Only the most recent link stays usable
+    await client.query(
+      `UPDATE password_reset_tokens
+       SET used_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND used_at IS NULL`,
+      [user.id]
+    );
+
+    await client.query(
+      `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+       VALUES ($1, $2, NOW() + make_interval(mins => $3))`,
+      [user.id, hashToken(resetToken), PASSWORD_RESET_TTL_MINUTES]
+    );
+
+    await client.query('COMMIT');
+
+    // A mail failure must not answer differently from an unknown address
+    try {
+      await sendMail({
+        to: user.email,
+        subject: "Reset your password",
+        text:
+          `Hi ${user.username},\n\n` +
+          `Use the link below to choose a new password. ` +
+          `It expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once.\n\n` +
+          `${appUrl("/reset-password", { token: resetToken })}\n\n` +
+          `If you did not request this, you can ignore this email.`
+      });
+    } catch (mailError) {
+      console.error("Error sending password reset email:", mailError);
+    }
+
+    res.json(genericResponse);
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error("Error in forgot password:", error);
+    res.status(500).json({ 
+      message: "Server error",
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Set a new password using a reset token
+router.post("/reset-password", async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ 
+        message: "Token and password are required" 
+      });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({
+        message: "Password must be at least 6 characters long"
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `SELECT id, user_id FROM password_reset_tokens
+       WHERE token_hash = $1
+       AND used_at IS NULL
+       AND expires_at > NOW()
+       FOR UPDATE`,
+      [hashToken(token)]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: "Invalid or expired reset token" });
+    }
+
+    const { id: resetId, user_id: userId } = result.rows[0];
+
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(password, salt);
+
+    await client.query(
+      `UPDATE users
+       SET password = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [hashedPassword, userId]
+    );
+
+    await client.query(
+      "UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = $1",
+      [resetId]
+    );
+
+    // Whoever knew the old password must not keep a session
+    await revokeAllUserTokens(client, userId);
+
+    // Resetting the password is also how a locked account is unlocked
+    await clearFailedLogins(client, userId);
+    await recordSecurityEvent(client, userId, "password_reset", req);
+
+    await client.query('COMMIT');
+
+    res.json({ message: "Password has been reset. Please log in again." });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error("Error in reset password:", error);
+    res.status(500).json({ 
+      message: "Server error",
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Confirm an email address from a verification link
+router.post("/verify-email", async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ message: "Token is required" });
+    }
+
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `SELECT evt.id, evt.user_id, evt.email, u.email AS current_email, u.pending_email
+       FROM email_verification_tokens evt
+       JOIN users u ON u.id = evt.user_id
+       WHERE evt.token_hash = $1
+       AND evt.used_at IS NULL
+       AND evt.expires_at > NOW()
+       FOR UPDATE OF evt`,
+      [hashToken(token)]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: "Invalid or expired verification token" });
+    }
+
+    const verification = result.rows[0];
+
+    await client.query(
+      "UPDATE email_verification_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = $1",
+      [verification.id]
+    );
+
+    if (verification.email === verification.pending_email) {
+      // Confirming an email change: the address may have been taken meanwhile
+      const emailCheck = await client.query(
+        "SELECT id FROM users WHERE LOWER(email) = LOWER($1) AND id != $2",
+        [verification.email, verification.user_id]
+      );
+
+      if (emailCheck.rows.length > 0) {
+        await client.query(
+          "UPDATE users SET pending_email = NULL WHERE id = $1",
+          [verification.user_id]
+        );
+        await client.query('COMMIT');
+        return res.status(400).json({ message: "Email already in use" });
+      }
+
+      await client.query(
+        `UPDATE users
+         SET email = pending_email,
+             pending_email = NULL,
+             email_verified = true,
+             email_verified_at = CURRENT_TIMESTAMP,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [verification.user_id]
+      );
+    } else if (verification.email === verification.current_email) {
+      await client.query(
+        `UPDATE users
+         SET email_verified = true,
+             email_verified_at = CURRENT_TIMESTAMP,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [verification.user_id]
+      );
+    } else {
+      // The address was changed again after this link was sent
+      await client.query('COMMIT');
+      return res.status(400).json({ message: "Invalid or expired verification token" });
+    }
+
+    await client.query('COMMIT');
+
+    res.json({ 
+      message: "Email verified successfully",
+      email: verification.email
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error("Error verifying email:", error);
+    res.status(500).json({ 
+      message: "Server error",
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Send a new verification link for the current or pending email
+router.post("/resend-verification", authenticateToken, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      "SELECT id, username, email, email_verified, pending_email FROM users WHERE id = $1",
+      [req.user.id]
+    );
+
+    const user = result.rows[0];
+    const email = user.pending_email || (!user.email_verified && user.email);
+
+    if (!email) {
+      return res.status(400).json({ message: "Email is already verified" });
+    }
+
+    const retryAfter = await getResendRetryAfter(client, user.id);
+    if (retryAfter > 0) {
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        message: "A verification email was sent recently. Please try again later.",
+        retryAfter
+      });
+    }
+
+    await sendVerificationEmail(client, user, email);
+
+    res.json({ message: "Verification email sent", email });
+
+  } catch (error) {
+    console.error("Error resending verification email:", error);
+    res.status(500).json({ 
+      message: "Server error",
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  } finally {
+    client.release();
+  }
+});
+
 export default router;
@@ -0,0 +1,221 @@
+import express from "express";
+import { pool } from "../config/database.mjs";
+import { authenticateToken } from "../middleware/auth.mjs";
+import { isValidDateString, validateDateRange } from "../middleware/validation.mjs";
+import {
+  FASTING_PROTOCOLS,
+  DEFAULT_PROTOCOL,
+  FAST_COLUMNS,
+  resolveFastTarget,
+  formatFast,
+  getActiveFast,
+  endActiveFast,
+  getFastingStreaks,
+} from "../services/fasting.mjs";
+import {
+  isValidTimeString,
+  getUserTimezone,
+  resolveLocalTime,
+} from "../services/timezones.mjs";
+
+const router = express.Router();
+
+// Fasts listed by GET /history without a date range
+const RECENT_FASTS_LIMIT = 100;
+
+// Validate an optional date/time pair in the user's timezone and turn it
+// into an instant. Resolves to { at } (null for now) or { error }.
+async function resolveFastTime(client, userId, { date, time }) {
+  if (date === undefined && time === undefined) {
+    return { at: null };
+  }
+  if (date !== undefined && !isValidDateString(date)) {
+    return { error: "Date must be in YYYY-MM-DD format" };
+  }
+  if (time !== undefined && !isValidTimeString(time)) {
+    return { error: "Time must be in HH:MM format" };
+  }
+
+  const timezone = await getUserTimezone(client, userId);
+  const resolved = await resolveLocalTime(client, { date, time }, timezone);
+  return resolved.error ? { error: resolved.error } : { at: resolved.loggedAt };
+}
+
+// Preset protocols
+router.get("/protocols", authenticateToken, (req, res) => {
+  res.json({
+    default: DEFAULT_PROTOCOL,
+    protocols: [
+      ...Object.entries(FASTING_PROTOCOLS).map(([protocol, preset]) => ({
+        protocol,
+        target_hours: preset.targetHours,
+        label: preset.label
+      })),
+      { protocol: "custom", target_hours: null, label: "Custom target" }
+    ]
+  });
+});
+
+// The running fast with elapsed and remaining hours, or null
+router.get("/current", authenticateToken, async (req, res) => {
+  try {
+    res.json(await getActiveFast(pool, req.user.id));
+  } catch (error) {
+    console.error("Error fetching current fast:", error);
+    res.status(500).json({ message: "Error fetching current fast" });
+  }
+});
+
+// Start a fast now, or at a date and time in the user's timezone
+router.post("/start", authenticateToken, async (req, res) => {
+  const { protocol, target_hours, date, time } = req.body;
+  const userId = req.user.id;
+
+  const target = resolveFastTarget(protocol, target_hours);
+  if (target.error) {
+    return res.status(400).json({ message: target.error });
+  }
+
+  try {
+    if (await getActiveFast(pool, userId)) {
+      return res.status(409).json({ message: "A fast is already running" });
+    }
+
+    const { at, error } = await resolveFastTime(pool, userId, { date, time });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO fasting_windows (user_id, protocol, target_hours, started_at)
+       VALUES ($1, $2, $3, COALESCE($4::timestamptz, CURRENT_TIMESTAMP))
+       RETURNING ${FAST_COLUMNS}`,
+      [userId, target.protocol, target.targetHours, at]
+    );
+
+    res.status(201).json(formatFast(result.rows[0]));
+  } catch (error) {
+    // Another request started one first
+    if (error.code === "23505") {
+      return res.status(409).json({ message: "A fast is already running" });
+    }
+    console.error("Error starting fast:", error);
+    res.status(500).json({ message: "Error starting fast" });
+  }
+});
+
+// Stop the running fast now, or at a date and time in the user's timezone
+router.post("/stop", authenticateToken, async (req, res) => {
+  const { date, time } = req.body;
+  const userId = req.user.id;
+
+  try {
+    const active = await getActiveFast(pool, userId);
+    if (!active) {
+      return res.status(404).json({ message: "No fast is running" });
+    }
+
+    const { at, error } = await resolveFastTime(pool, userId, { date, time });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const fast = await endActiveFast(pool, userId, at || new Date());
+    if (!fast) {
+      return res.status(400).json({ message: "A fast cannot end before it started" });
+    }
+
+    res.json(fast);
+  } catch (error) {
+    console.error("Error stopping fast:", error);
+    res.status(500).json({ message: "Error stopping fast" });
+  }
+});
+
+// Fasts started between startDate and endDate in the user's timezone, or
+// the most recent ones, newest first
+router.get("/history", authenticateToken, validateDateRange, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { startDate, endDate } = req.query;
+    const timezone = await getUserTimezone(pool, userId);
+
+    const result = await pool.query(
+      `SELECT ${FAST_COLUMNS} FROM fasting_windows
+       WHERE user_id = $1
+       AND ($2::date IS NULL OR (started_at AT TIME ZONE $4)::date >= $2::date)
+       AND ($3::date IS NULL OR (started_at AT TIME ZONE $4)::date <= $3::date)
+       ORDER BY started_at DESC
+       LIMIT $5`,
+      [
+        userId,
+        startDate || null,
+        endDate || null,
+        timezone,
+        startDate || endDate ? null : RECENT_FASTS_LIMIT
+      ]
+    );
+
+    res.json(result.rows.map(formatFast));
+  } catch (error) {
+    console.error("Error fetching fasting history:", error);
+    res.status(500).json({ message: "Error fetching fasting history" });
+  }
+});
+
+// Streaks of days with a completed fast, and totals over all finished fasts
+router.get("/stats", authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const timezone = await getUserTimezone(pool, userId);
+
+    const totals = await pool.query(
+      `SELECT
+         COUNT(*)::int AS total_fasts,
+         COUNT(*) FILTER (WHERE end_reason = 'completed')::int AS completed_fasts,
+         COUNT(*) FILTER (WHERE end_reason = 'food_logged')::int AS broken_fasts,
+         COALESCE(AVG(EXTRACT(EPOCH FROM (ended_at - started_at)) / 3600), 0) AS average_hours,
+         COALESCE(MAX(EXTRACT(EPOCH FROM (ended_at - started_at)) / 3600), 0) AS longest_hours
+       FROM fasting_windows
+       WHERE user_id = $1 AND ended_at IS NOT NULL`,
+      [userId]
+    );
+    const row = totals.rows[0];
+
+    res.json({
+      streak: await getFastingStreaks(pool, userId, timezone),
+      totalFasts: row.total_fasts,
+      completedFasts: row.completed_fasts,
+      brokenFasts: row.broken_fasts,
+      completionRate: row.total_fasts > 0
+        ? Math.round((row.completed_fasts / row.total_fasts) * 100)
+        : 0,
+      averageHours: Math.round(parseFloat(row.average_hours) * 100) / 100,
+      longestHours: Math.round(parseFloat(row.longest_hours) * 100) / 100
+    });
+  } catch (error) {
+    console.error("Error fetching fasting stats:", error);
+    res.status(500).json({ message: "Error fetching fasting stats" });
+  }
+});
+
+// Delete a fast (owner only)
+router.delete("/:id", authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      "DELETE FROM fasting_windows WHERE id = $1 AND user_id = $2 RETURNING id",
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "Fast not found" });
+    }
+
+    res.json({ message: "Fast deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting fast:", error);
+    res.status(500).json({ message: "Error deleting fast" });
+  }
+});
+
+export default router;
@@ -1,260 +1,1458 @@
 import express from "express";
+import crypto from "crypto";
 import { pool } from "../config/database.mjs";
 import { authenticateToken } from "../middleware/auth.mjs";
-import fetch from "node-fetch";
+import { isValidDateString, validateDateRange } from "../middleware/validation.mjs";
+import {
+  FOOD_COLUMNS,
+  searchLocalFoods,
+  getFood,
+  normalizeBarcode,
+  findFoodByBarcode,
+  scaleFood,
+  formatServing,
+} from "../services/foods.mjs";
+import {
+  DIET_TAGS,
+  ALLERGENS,
+  getUserRestrictions,
+  getDietaryWarnings,
+} from "../services/dietary.mjs";
+import {
+  getNutritionProvider,
+  searchFoods,
+  getNutrients,
+  lookupBarcode,
+} from "../services/nutritionProviders/index.mjs";
+import {
+  validateRecipeBody,
+  saveIngredients,
+  getRecipe,
+  getRecipeWarnings,
+  formatRecipe,
+  scaleRecipe,
+  formatRecipeServing,
+} from "../services/recipes.mjs";
+import {
+  insertFoodLog,
+  updateFoodLog,
+  expandTemplateFood,
+  entryFromProviderFood,
+  getDayLogs,
+} from "../services/foodLogs.mjs";
+import {
+  isValidTimeString,
+  getUserTimezone,
+  localToday,
+  resolveLocalTime,
+  toLocalParts,
+} from "../services/timezones.mjs";
+import { summarizeDay } from "../services/nutritionSummary.mjs";
+import {
+  WATER_UNITS,
+  toMl,
+  fromMl,
+  validateWaterAmount,
+  getWaterSettings,
+  formatWaterLog,
+  summarizeWater,
+} from "../services/water.mjs";
+import {
+  GOAL_DAY_TYPES,
+  GOAL_FIELDS,
+  validateGoals,
+  loadGoalSchedule,
+  getTrainingDays,
+  resolveGoals,
+  getGoalsForDate,
+  saveGoals,
+  endGoalVariant,
+} from "../services/goals.mjs";
+import { calculateNutritionRecommendations } from "../services/recommendations.mjs";
+import {
+  NUTRIENT_COLUMNS,
+  MICRONUTRIENTS,
+  NUTRIENT_KEYS,
+  validateNutrients,
+  fromLogRow,
+  nutrientsFromNutritionix,
+  getMicronutrientTargets,
+  nutrientReport,
+} from "../services/nutrients.mjs";
+import {
+  getMealSlots,
+  findMealSlot,
+  groupLogsBySlot,
+  sumMacros,
+} from "../services/mealSlots.mjs";
 
 const router = express.Router();
 
-// Nutritionix API configuration
-const NUTRITIONIX_APP_ID = process.env.NUTRITIONIX_APP_ID;
-const NUTRITIONIX_API_KEY = process.env.NUTRITIONIX_API_KEY;
-const NUTRITIONIX_BASE_URL = "https://trackapi.nutritionix.com/v2";
-
-// Add these helper functions at the top of the file
-function applyDietaryRestrictions(query, restrictions) {
-  const dietaryFilters = {
-    vegetarian: "AND NOT foods.category = ANY($1)",
-    vegan: "AND NOT foods.category = ANY($2)",
-    "gluten-free": "AND NOT foods.contains_gluten = true",
-    "dairy-free": "AND NOT foods.contains_dairy = true",
-  };
+// Search food items: local catalog first, then the nutrition provider
+router.get("/search", authenticateToken, async (req, res) => {
+  try {
+    const { query, source } = req.query;
+    if (!query) {
+      return res.status(400).json({ message: "Query parameter is required" });
+    }
 
-  return restrictions.reduce((sql, restriction) => {
-    return sql + (dietaryFilters[restriction] || "");
-  }, query);
-}
+    // By default foods violating the user's restrictions are flagged;
+    // with strict=true they are left out
+    const restrictions = await getUserRestrictions(pool, req.user.id);
+    const strict = req.query.strict === "true";
+    const withWarnings = food => ({
+      ...food,
+      dietaryWarnings: getDietaryWarnings(food, restrictions)
+    });
+    const allowed = food => !strict || food.dietaryWarnings.length === 0;
 
-// Add this function to update food usage statistics
-async function incrementFoodUsage(foodId, client) {
+    const local = (
+      await searchLocalFoods(pool, query, req.user.id, 20, strict ? restrictions : [])
+    ).map(withWarnings).filter(allowed);
+
+    const searchResults = {
+      local,
+      common: [],
+      branded: [],
+      restrictions,
+    };
+
+    // The local catalog already answered when it is the primary provider
+    if (source === "local" || getNutritionProvider().name === "local") {
+      return res.json(searchResults);
+    }
+
+    // Local results still work when the provider is down
+    try {
+      const result = await searchFoods(query, { userId: req.user.id });
+
+      // Drop common foods the local catalog already covers
+      const localNames = new Set(local.map(food => food.name.toLowerCase()));
+      searchResults.common = (result.data.common || [])
+        .filter(food => !localNames.has(String(food.food_name).toLowerCase()))
+        .map(withWarnings)
+        .filter(allowed);
+      searchResults.branded = (result.data.branded || []).map(withWarnings).filter(allowed);
+
+      searchResults.provider = result.provider;
+      searchResults.cached = result.cached;
+      searchResults.fallback = result.fallback;
+      if (result.attribution) {
+        searchResults.attribution = result.attribution;
+      }
+      if (result.warning) {
+        searchResults.externalError = result.warning;
+      }
+    } catch (externalError) {
+      console.error("Error searching nutrition provider:", externalError);
+      searchResults.externalError = "External food search is unavailable";
+    }
+
+    res.json(searchResults);
+  } catch (error) {
+    console.error("Error searching foods:", error);
+    res.status(500).json({ message: "Error searching foods", error: error.message });
+  }
+});
+
+// Get detailed nutrients for a food
+router.post("/nutrients", authenticateToken, async (req, res) => {
   try {
-    await client.query(
-      `UPDATE foods 
-       SET times_logged = times_logged + 1,
-           updated_at = CURRENT_TIMESTAMP
-       WHERE id = $1`,
-      [foodId]
+    const { query } = req.body;
+    if (!query) {
+      return res.status(400).json({ message: "Query is required" });
+    }
+
+    // The provider reads words like "breakfast" or "yesterday" in this timezone
+    const result = await getNutrients(query, {
+      userId: req.user.id,
+      timezone: await getUserTimezone(pool, req.user.id)
+    });
+
+    // Each food also gets its nutrients in the shape POST /log accepts
+    res.json({
+      ...result.data,
+      foods: (result.data.foods || []).map(food => ({
+        ...food,
+        nutrients: nutrientsFromNutritionix(food)
+      })),
+      provider: result.provider,
+      cached: result.cached,
+      fallback: result.fallback,
+      attribution: result.attribution,
+      warning: result.warning
+    });
+  } catch (error) {
+    if (error.status === 404) {
+      return res.status(404).json({ message: error.message });
+    }
+    console.error("Error getting nutrients:", error);
+    res.status(500).json({ message: "Error getting nutrients", error: error.message });
+  }
+});
+
+// Look up a packaged food by UPC/EAN: local catalog first, then the
+// nutrition provider. Provider matches are saved to the catalog so the next
+// scan is answered locally.
+router.get("/barcode/:upc", authenticateToken, async (req, res) => {
+  try {
+    const barcode = normalizeBarcode(req.params.upc);
+    if (!barcode) {
+      return res.status(400).json({ message: "Invalid barcode" });
+    }
+
+    const restrictions = await getUserRestrictions(pool, req.user.id);
+
+    let food = await findFoodByBarcode(pool, barcode);
+    if (food) {
+      return res.json({
+        ...food,
+        dietaryWarnings: getDietaryWarnings(food, restrictions)
+      });
+    }
+
+    let result = null;
+    try {
+      result = await lookupBarcode(barcode, { userId: req.user.id });
+    } catch (error) {
+      if (error.status !== 404) {
+        throw error;
+      }
+    }
+
+    const item = result?.data.foods?.[0];
+    if (!item) {
+      return res.status(404).json({
+        message: "No food found for this barcode. You can submit its label data.",
+        barcode
+      });
+    }
+
+    const inserted = await pool.query(
+      `INSERT INTO foods (
+        name, brand, serving_qty, serving_unit, serving_weight_grams,
+        calories, protein, carbs, fats, barcode, source
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      ON CONFLICT (barcode) WHERE status <> 'rejected' DO NOTHING
+      RETURNING id`,
+      [
+        item.food_name, item.brand_name, item.serving_qty || 1, item.serving_unit || "serving",
+        item.serving_weight_grams, item.nf_calories || 0, item.nf_protein || 0,
+        item.nf_total_carbohydrate || 0, item.nf_total_fat || 0, barcode, result.provider
+      ]
     );
+
+    // Either our insert or a concurrent scan of the same code
+    food = await findFoodByBarcode(pool, barcode);
+    res.status(inserted.rows.length > 0 ? 201 : 200).json({
+      ...food,
+      dietaryWarnings: getDietaryWarnings(food, restrictions),
+      attribution: result.attribution || undefined
+    });
+  } catch (error) {
+    console.error("Error looking up barcode:", error);
+    res.status(500).json({ message: "Error looking up barcode" });
+  }
+});
+
+// Submit label data for a barcode nobody knows yet. The food is shared with
+// everyone as "pending" until an admin reviews it.
+router.post("/barcode/:upc", authenticateToken, async (req, res) => {
+  try {
+    const barcode = normalizeBarcode(req.params.upc);
+    if (!barcode) {
+      return res.status(400).json({ message: "Invalid barcode" });
+    }
+
+    const validationError = validateFoodBody(req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const {
+      name, brand, serving_qty = 1, serving_unit, serving_weight_grams,
+      calories = 0, protein = 0, carbs = 0, fats = 0, category,
+      diet_tags = [], allergens = []
+    } = req.body;
+
+    const result = await pool.query(
+      `INSERT INTO foods (
+        name, brand, serving_qty, serving_unit, serving_weight_grams,
+        calories, protein, carbs, fats, category, diet_tags, allergens,
+        barcode, source, status, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, 'submission', 'pending', $14)
+      ON CONFLICT (barcode) WHERE status <> 'rejected' DO NOTHING
+      RETURNING *`,
+      [
+        name.trim(), brand, serving_qty, serving_unit, serving_weight_grams,
+        calories, protein, carbs, fats, category, diet_tags, allergens,
+        barcode, req.user.id
+      ]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ message: "A food with this barcode already exists" });
+    }
+
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    console.error("Error submitting barcode food:", error);
+    res.status(500).json({ 
+      message: "Error submitting barcode food",
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Log food item
+router.post("/log", authenticateToken, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { food_id, recipe_id, servings = 1, meal_slot, date, time } = req.body;
+    let { food_name, serving_size, nutrients } = req.body;
+    let food = null;
+    let recipe = null;
+    const userId = req.user.id;
+
+    if (food_id && recipe_id) {
+      return res.status(400).json({ message: "Log either a food_id or a recipe_id, not both" });
+    }
+
+    if ((food_id || recipe_id) && (typeof servings !== 'number' || servings <= 0)) {
+      return res.status(400).json({ message: "Servings must be a positive number" });
+    }
+
+    // Foods from the local catalog only need an id and a number of servings
+    if (food_id) {
+      food = await getFood(client, food_id, userId);
+      if (!food) {
+        return res.status(404).json({ message: "Food not found" });
+      }
+
+      food_name = food_name || food.name;
+      serving_size = serving_size || formatServing(food, servings);
+      nutrients = nutrients || scaleFood(food, servings);
+    }
+
+    // So do recipes, logged as a single entry
+    if (recipe_id) {
+      recipe = await getRecipe(client, recipe_id, userId);
+      if (!recipe) {
+        return res.status(404).json({ message: "Recipe not found" });
+      }
+
+      food_name = food_name || recipe.name;
+      serving_size = serving_size || formatRecipeServing(servings);
+      nutrients = nutrients || scaleRecipe(recipe, servings);
+    }
+
+    // Validate required fields
+    if (!food_name || !serving_size || !nutrients) {
+      return res.status(400).json({ 
+        message: "Missing required fields: food_name, serving_size, or nutrients" 
+      });
+    }
+
+    const nutrientsError = typeof nutrients === 'object'
+      ? validateNutrients(nutrients)
+      : "Nutrients must be an object";
+    if (nutrientsError) {
+      return res.status(400).json({ message: nutrientsError });
+    }
+
+    // Slots are matched case-insensitively against the user's own
+    const { slot: mealSlot, error: slotError } = await findMealSlot(client, userId, meal_slot);
+    if (slotError) {
+      return res.status(400).json({ message: slotError });
+    }
+
+    // Backdated entries give a date and/or time in the user's timezone
+    let loggedAt = null;
+    if (date !== undefined || time !== undefined) {
+      if (date !== undefined && !isValidDateString(date)) {
+        return res.status(400).json({ message: "Date must be in YYYY-MM-DD format" });
+      }
+      if (time !== undefined && !isValidTimeString(time)) {
+        return res.status(400).json({ message: "Time must be in HH:MM format" });
+      }
+
+      const timezone = await getUserTimezone(client, userId);
+      const resolved = await resolveLocalTime(client, { date, time }, timezone);
+      if (resolved.error) {
+        return res.status(400).json({ message: resolved.error });
+      }
+      loggedAt = resolved.loggedAt;
+    }
+
+    await client.query("BEGIN");
+
+    const entry = await insertFoodLog(client, userId, {
+      food_id: food_id || null,
+      recipe_id: recipe_id || null,
+      meal_slot: mealSlot,
+      food_name,
+      serving_size,
+      nutrients,
+      logged_at: loggedAt
+    });
+
+    // Logging is never blocked, but conflicts are reported back
+    const restrictions = await getUserRestrictions(client, userId);
+    const dietaryWarnings = recipe
+      ? getRecipeWarnings(recipe, restrictions)
+      : getDietaryWarnings(food || { food_name }, restrictions);
+
+    await client.query("COMMIT");
+    res.status(201).json({ ...entry, dietaryWarnings });
   } catch (error) {
-    console.error("Error updating food usage:", error);
+    await client.query("ROLLBACK");
+    console.error("Error logging food:", error);
+    res.status(500).json({ 
+      message: "Error logging food", 
+      error: error.message 
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Entries from a natural-language preview, possibly edited by the user.
+// Returns an error message or null.
+function validateNaturalItems(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    return "Items must be a non-empty array";
+  }
+
+  for (const [index, item] of items.entries()) {
+    const label = `Item ${index + 1}`;
+    if (!item || typeof item.food_name !== 'string' || !item.food_name.trim()) {
+      return `${label}: food_name is required`;
+    }
+    if (typeof item.serving_size !== 'string' || !item.serving_size.trim()) {
+      return `${label}: serving_size is required`;
+    }
+    if (item.food_id !== undefined && item.food_id !== null && !Number.isInteger(item.food_id)) {
+      return `${label}: food_id must be an integer`;
+    }
+    const nutrientsError = item.nutrients && typeof item.nutrients === 'object'
+      ? validateNutrients(item.nutrients)
+      : "nutrients must be an object";
+    if (nutrientsError) {
+      return `${label}: ${nutrientsError}`;
+    }
   }
+  return null;
 }
 
-// Search food items using Nutritionix API
-router.get("/search", authenticateToken, async (req, res) => {
+// Log a meal described in words, e.g. "2 eggs and a slice of toast". The
+// text goes through the nutrition provider and, unless `confirm` is true,
+// only a preview is returned. Confirming logs every recognised item in one
+// transaction under a shared batch_id; send the preview's `items` back to
+// log them as reviewed, or just the text to log what it parses to.
+router.post("/log/natural", authenticateToken, async (req, res) => {
+  const { text, confirm = false, meal_slot, date, time } = req.body;
+  let { items } = req.body;
+  const userId = req.user.id;
+
+  if (items === undefined && (typeof text !== 'string' || !text.trim())) {
+    return res.status(400).json({ message: "Text is required" });
+  }
+  if (items !== undefined && !confirm) {
+    return res.status(400).json({ message: "Items can only be sent with confirm: true" });
+  }
+  if (date !== undefined && !isValidDateString(date)) {
+    return res.status(400).json({ message: "Date must be in YYYY-MM-DD format" });
+  }
+  if (time !== undefined && !isValidTimeString(time)) {
+    return res.status(400).json({ message: "Time must be in HH:MM format" });
+  }
+
+  const client = await pool.connect();
+  try {
+    const timezone = await getUserTimezone(client, userId);
+    const restrictions = await getUserRestrictions(client, userId);
+
+    let parsed = null;
+    if (items === undefined) {
+      parsed = await getNutrients(text, { userId, timezone });
+      items = (parsed.data.foods || []).map(entryFromProviderFood);
+    }
+
+    const itemsError = validateNaturalItems(items);
+    if (itemsError) {
+      return res.status(400).json({ message: itemsError });
+    }
+
+    const { slot: mealSlot, error: slotError } = await findMealSlot(client, userId, meal_slot);
+    if (slotError) {
+      return res.status(400).json({ message: slotError });
+    }
+
+    if (!confirm) {
+      const previews = items.map((item, index) => ({
+        ...item,
+        matched: parsed.data.foods[index].tags?.item ?? null,
+        dietaryWarnings: getDietaryWarnings(item, restrictions)
+      }));
+
+      return res.json({
+        text,
+        meal_slot: mealSlot,
+        items: previews,
+        unmatched: parsed.data.unmatched || [],
+        totals: sumMacros(items.map(item => ({
+          calories: item.nutrients.calories,
+          protein: item.nutrients.protein,
+          carbs: item.nutrients.totalCarbs,
+          fats: item.nutrients.totalFat
+        }))),
+        provider: parsed.provider,
+        cached: parsed.cached,
+        fallback: parsed.fallback,
+        attribution: parsed.attribution,
+        warning: parsed.warning
+      });
+    }
+
+    // Catalog links must point at foods the user can see
+    for (const item of items) {
+      if (item.food_id && !(await getFood(client, item.food_id, userId))) {
+        return res.status(400).json({ message: `Food not found: ${item.food_id}` });
+      }
+    }
+
+    let loggedAt = null;
+    if (date !== undefined || time !== undefined) {
+      const resolved = await resolveLocalTime(client, { date, time }, timezone);
+      if (resolved.error) {
+        return res.status(400).json({ message: resolved.error });
+      }
+      loggedAt = resolved.loggedAt;
+    }
+
+    const batchId = crypto.randomUUID();
+
+    await client.query("BEGIN");
+
+    const logs = [];
+    for (const item of items) {
+      const log = await insertFoodLog(client, userId, {
+        food_id: item.food_id || null,
+        meal_slot: mealSlot,
+        batch_id: batchId,
+        food_name: item.food_name.trim(),
+        serving_size: item.serving_size.trim(),
+        nutrients: item.nutrients,
+        logged_at: loggedAt
+      });
+      logs.push({ ...log, dietaryWarnings: getDietaryWarnings(log, restrictions) });
+    }
+
+    await client.query("COMMIT");
+    res.status(201).json({
+      batch_id: batchId,
+      entries: logs,
+      totals: sumMacros(logs)
+    });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    if (error.status === 404) {
+      return res.status(404).json({ message: error.message });
+    }
+    console.error("Error logging natural-language meal:", error);
+    res.status(500).json({ message: "Error logging meal" });
+  } finally {
+    client.release();
+  }
+});
+
+// Search the local foods catalog only
+router.get("/foods", authenticateToken, async (req, res) => {
   try {
     const { query } = req.query;
-    if (!query) {
-      return res.status(400).json({ message: "Query parameter is required" });
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    if (query) {
+      return res.json(await searchLocalFoods(pool, query, req.user.id, limit));
     }
 
-    // Call Nutritionix instant search endpoint
-    const response = await fetch(`${NUTRITIONIX_BASE_URL}/search/instant?query=${encodeURIComponent(query)}`, {
-      headers: {
-        "x-app-id": NUTRITIONIX_APP_ID,
-        "x-app-key": NUTRITIONIX_API_KEY,
-        "x-remote-user-id": "0"  // Required by Nutritionix for tracking
+    // Without a query, list the most logged foods
+    const result = await pool.query(
+      `SELECT ${FOOD_COLUMNS}
+       FROM foods f
+       WHERE f.source <> 'user' OR f.created_by = $1
+       ORDER BY f.times_logged DESC, f.name
+       LIMIT $2`,
+      [req.user.id, limit]
+    );
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error("Error fetching foods:", error);
+    res.status(500).json({ message: "Error fetching foods" });
+  }
+});
+
+// Get a single food from the catalog
+router.get("/foods/:id", authenticateToken, async (req, res) => {
+  try {
+    const food = await getFood(pool, req.params.id, req.user.id);
+
+    if (!food) {
+      return res.status(404).json({ message: "Food not found" });
+    }
+
+    res.json(food);
+  } catch (error) {
+    console.error("Error fetching food:", error);
+    res.status(500).json({ message: "Error fetching food" });
+  }
+});
+
+// Validate the nutrition fields of a food body; returns an error message or null
+function validateFoodBody(body, partial = false) {
+  const { name, serving_qty, serving_unit } = body;
+
+  if (!partial && (!name || !serving_unit)) {
+    return "Name and serving_unit are required";
+  }
+
+  if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+    return "Name must be a non-empty string";
+  }
+
+  if (serving_qty !== undefined && (typeof serving_qty !== 'number' || serving_qty <= 0)) {
+    return "serving_qty must be a positive number";
+  }
+
+  if (body.diet_tags !== undefined &&
+      (!Array.isArray(body.diet_tags) || body.diet_tags.some(tag => !DIET_TAGS.includes(tag)))) {
+    return `diet_tags must be an array of: ${DIET_TAGS.join(", ")}`;
+  }
+
+  if (body.allergens !== undefined &&
+      (!Array.isArray(body.allergens) || body.allergens.some(a => !ALLERGENS.includes(a)))) {
+    return `allergens must be an array of: ${ALLERGENS.join(", ")}`;
+  }
+
+  for (const field of ["serving_weight_grams", "calories", "protein", "carbs", "fats"]) {
+    const value = body[field];
+    if (value !== undefined && value !== null && (typeof value !== 'number' || value < 0)) {
+      return `${field} must be a non-negative number`;
+    }
+  }
+
+  return null;
+}
+
+// Add a food to the catalog. Foods added by admins are shared with everyone;
+// other users' foods are private to them.
+router.post("/foods", authenticateToken, async (req, res) => {
+  try {
+    const validationError = validateFoodBody(req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const {
+      name, brand, serving_qty = 1, serving_unit, serving_weight_grams,
+      calories = 0, protein = 0, carbs = 0, fats = 0, category,
+      diet_tags = [], allergens = []
+    } = req.body;
+    const source = req.user.role === "admin" ? "local" : "user";
+
+    const result = await pool.query(
+      `INSERT INTO foods (
+        name, brand, serving_qty, serving_unit, serving_weight_grams,
+        calories, protein, carbs, fats, category, diet_tags, allergens,
+        source, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+      RETURNING *`,
+      [
+        name.trim(), brand, serving_qty, serving_unit, serving_weight_grams,
+        calories, protein, carbs, fats, category, diet_tags, allergens,
+        source, req.user.id
+      ]
+    );
+
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    console.error("Error creating food:", error);
+    res.status(500).json({ 
+      message: "Error creating food",
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Update a food (admin, or its creator while it is private or pending)
+router.put("/foods/:id", authenticateToken, async (req, res) => {
+  try {
+    const validationError = validateFoodBody(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const {
+      name, brand, serving_qty, serving_unit, serving_weight_grams,
+      calories, protein, carbs, fats, category, diet_tags, allergens
+    } = req.body;
+
+    const result = await pool.query(
+      `UPDATE foods
+       SET name = COALESCE($1, name),
+           brand = COALESCE($2, brand),
+           serving_qty = COALESCE($3, serving_qty),
+           serving_unit = COALESCE($4, serving_unit),
+           serving_weight_grams = COALESCE($5, serving_weight_grams),
+           calories = COALESCE($6, calories),
+           protein = COALESCE($7, protein),
+           carbs = COALESCE($8, carbs),
+           fats = COALESCE($9, fats),
+           category = COALESCE($10, category),
+           diet_tags = COALESCE($11, diet_tags),
+           allergens = COALESCE($12, allergens),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $13
+       AND ((created_by = $14 AND (source = 'user' OR status = 'pending')) OR $15)
+       RETURNING *`,
+      [
+        name?.trim(), brand, serving_qty, serving_unit, serving_weight_grams,
+        calories, protein, carbs, fats, category, diet_tags, allergens,
+        req.params.id, req.user.id, req.user.role === "admin"
+      ]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "Food not found" });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error("Error updating food:", error);
+    res.status(500).json({ 
+      message: "Error updating food",
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Delete a food (admin, or its creator while it is private or pending). Existing food logs keep their copy of
+// the nutrition data.
+router.delete("/foods/:id", authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `DELETE FROM foods
+       WHERE id = $1
+       AND ((created_by = $2 AND (source = 'user' OR status = 'pending')) OR $3)
+       RETURNING id`,
+      [req.params.id, req.user.id, req.user.role === "admin"]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "Food not found" });
+    }
+
+    res.json({ message: "Food deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting food:", error);
+    res.status(500).json({ message: "Error deleting food" });
+  }
+});
+
+// List the user's recipes with total and per-serving nutrition
+router.get("/recipes", authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT * FROM recipes
+       WHERE user_id = $1
+       ORDER BY name`,
+      [req.user.id]
+    );
+
+    res.json(result.rows.map(recipe => formatRecipe(recipe)));
+  } catch (error) {
+    console.error("Error fetching recipes:", error);
+    res.status(500).json({ message: "Error fetching recipes" });
+  }
+});
+
+// Get a recipe with its ingredients
+router.get("/recipes/:id", authenticateToken, async (req, res) => {
+  try {
+    const recipe = await getRecipe(pool, req.params.id, req.user.id);
+    if (!recipe) {
+      return res.status(404).json({ message: "Recipe not found" });
+    }
+
+    const restrictions = await getUserRestrictions(pool, req.user.id);
+    res.json({ ...recipe, dietaryWarnings: getRecipeWarnings(recipe, restrictions) });
+  } catch (error) {
+    console.error("Error fetching recipe:", error);
+    res.status(500).json({ message: "Error fetching recipe" });
+  }
+});
+
+// Create a recipe. Ingredients are { food_id, servings } for catalog foods
+// or { name, quantity, unit, calories, protein, carbs, fats }.
+router.post("/recipes", authenticateToken, async (req, res) => {
+  const validationError = validateRecipeBody(req.body);
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+
+  const client = await pool.connect();
+  try {
+    const {
+      name, description, servings = 1, yield_qty, yield_unit, ingredients
+    } = req.body;
+
+    await client.query("BEGIN");
+
+    const result = await client.query(
+      `INSERT INTO recipes (user_id, name, description, servings, yield_qty, yield_unit)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id`,
+      [req.user.id, name.trim(), description, servings, yield_qty, yield_unit]
+    );
+    const recipeId = result.rows[0].id;
+
+    const ingredientError = await saveIngredients(client, recipeId, ingredients, req.user.id);
+    if (ingredientError) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ message: ingredientError });
+    }
+
+    const recipe = await getRecipe(client, recipeId, req.user.id);
+    await client.query("COMMIT");
+    res.status(201).json(recipe);
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("Error creating recipe:", error);
+    res.status(500).json({ message: "Error creating recipe" });
+  } finally {
+    client.release();
+  }
+});
+
+// Update a recipe. A new ingredients array replaces the old one and the
+// totals are recomputed.
+router.put("/recipes/:id", authenticateToken, async (req, res) => {
+  const validationError = validateRecipeBody(req.body, true);
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+
+  const client = await pool.connect();
+  try {
+    const {
+      name, description, servings, yield_qty, yield_unit, ingredients
+    } = req.body;
+
+    await client.query("BEGIN");
+
+    const result = await client.query(
+      `UPDATE recipes
+       SET name = COALESCE($1, name),
+           description = COALESCE($2, description),
+           servings = COALESCE($3, servings),
+           yield_qty = COALESCE($4, yield_qty),
+           yield_unit = COALESCE($5, yield_unit),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $6 AND user_id = $7
+       RETURNING id`,
+      [name?.trim(), description, servings, yield_qty, yield_unit, req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ message: "Recipe not found" });
+    }
+
+    if (ingredients) {
+      const ingredientError = await saveIngredients(client, result.rows[0].id, ingredients, req.user.id);
+      if (ingredientError) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ message: ingredientError });
       }
+    }
+
+    const recipe = await getRecipe(client, result.rows[0].id, req.user.id);
+    await client.query("COMMIT");
+    res.json(recipe);
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("Error updating recipe:", error);
+    res.status(500).json({ message: "Error updating recipe" });
+  } finally {
+    client.release();
+  }
+});
+
+// Delete a recipe. Logged servings keep their copy of the nutrition data.
+router.delete("/recipes/:id", authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      "DELETE FROM recipes WHERE id = $1 AND user_id = $2 RETURNING id",
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "Recipe not found" });
+    }
+
+    res.json({ message: "Recipe deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting recipe:", error);
+    res.status(500).json({ message: "Error deleting recipe" });
+  }
+});
+
+// Undo a batch of entries, e.g. a logged template
+router.delete("/logs/batch/:batchId", authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `DELETE FROM food_logs
+       WHERE batch_id::text = $1 AND user_id = $2
+       RETURNING id`,
+      [req.params.batchId, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "Batch not found" });
+    }
+
+    res.json({
+      message: "Batch deleted successfully",
+      deleted: result.rows.map(row => row.id)
     });
+  } catch (error) {
+    console.error("Error deleting batch:", error);
+    res.status(500).json({ message: "Error deleting batch" });
+  }
+});
+
+const MAX_COPY_DAYS = 31;
+
+// Copy a day's entries, or one meal slot's, from from_date to to_date or to
+// every day from to_start_date to to_end_date. Copies keep their time of
+// day and, unless to_meal_slot is given, their slot. Target days may be in
+// the future, to plan meals ahead. They share a batch_id so the copy can be
+// undone with DELETE /logs/batch/:batchId.
+router.post("/logs/copy", authenticateToken, async (req, res) => {
+  const { from_date, to_date, to_start_date, to_end_date, meal_slot, to_meal_slot } = req.body;
+  const userId = req.user.id;
 
-    if (!response.ok) {
-      throw new Error(`Nutritionix API error: ${response.status}`);
+  if (!isValidDateString(from_date)) {
+    return res.status(400).json({ message: "from_date must be in YYYY-MM-DD format" });
+  }
+
+  let targetDates;
+  if (to_date !== undefined) {
+    if (!isValidDateString(to_date)) {
+      return res.status(400).json({ message: "to_date must be in YYYY-MM-DD format" });
+    }
+    targetDates = [to_date];
+  } else {
+    if (!isValidDateString(to_start_date) || !isValidDateString(to_end_date)) {
+      return res.status(400).json({
+        message: "Give to_date, or to_start_date and to_end_date, in YYYY-MM-DD format"
+      });
+    }
+    if (to_start_date > to_end_date) {
+      return res.status(400).json({ message: "to_start_date cannot be after to_end_date" });
     }
 
-    const data = await response.json();
+    targetDates = [];
+    for (let day = new Date(`${to_start_date}T00:00:00Z`);
+         day <= new Date(`${to_end_date}T00:00:00Z`);
+         day.setUTCDate(day.getUTCDate() + 1)) {
+      targetDates.push(day.toISOString().slice(0, 10));
+    }
+    if (targetDates.length > MAX_COPY_DAYS) {
+      return res.status(400).json({ message: `Cannot copy to more than ${MAX_COPY_DAYS} days at once` });
+    }
+  }
 
-    // Add attribution requirement
-    const searchResults = {
-      ...data,
-      attribution: {
-        text: "Powered by Nutritionix",
-        image: "https://www.nutritionix.com/images/attribute_logo_white.png"
+  if (targetDates.includes(from_date)) {
+    return res.status(400).json({ message: "Cannot copy a day onto itself" });
+  }
+
+  const client = await pool.connect();
+  try {
+    const { slot: targetSlot, error: slotError } = await findMealSlot(client, userId, to_meal_slot);
+    if (slotError) {
+      return res.status(400).json({ message: slotError });
+    }
+
+    const timezone = await getUserTimezone(client, userId);
+    const sources = await getDayLogs(client, userId, from_date, timezone, meal_slot ?? null);
+    if (sources.length === 0) {
+      return res.status(404).json({ message: "No food logs to copy" });
+    }
+
+    // Work out every copy's time first so nothing is written on bad input
+    const copies = [];
+    for (const date of targetDates) {
+      for (const log of sources) {
+        const resolved = await resolveLocalTime(
+          client,
+          { date, time: log.local_time },
+          timezone,
+          { allowFuture: true }
+        );
+        if (resolved.error) {
+          return res.status(400).json({ message: `${date}: ${resolved.error}` });
+        }
+        copies.push({ log, loggedAt: resolved.loggedAt });
       }
-    };
+    }
+
+    const batchId = crypto.randomUUID();
+
+    await client.query("BEGIN");
+
+    const entries = [];
+    for (const { log, loggedAt } of copies) {
+      entries.push(await insertFoodLog(client, userId, {
+        food_id: log.food_id,
+        recipe_id: log.recipe_id,
+        meal_slot: targetSlot || log.meal_slot,
+        batch_id: batchId,
+        food_name: log.food_name,
+        serving_size: log.serving_size,
+        nutrients: fromLogRow(log),
+        logged_at: loggedAt
+      }));
+    }
+
+    await client.query("COMMIT");
+    res.status(201).json({
+      batch_id: batchId,
+      from_date,
+      dates: targetDates,
+      entries,
+      totals: sumMacros(entries)
+    });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("Error copying food logs:", error);
+    res.status(500).json({ message: "Error copying food logs" });
+  } finally {
+    client.release();
+  }
+});
+
+// Save a logged day, or one meal slot of it, as a new meal template
+router.post("/logs/:date/template", authenticateToken, async (req, res) => {
+  try {
+    const { date } = req.params;
+    const { name, meal_slot } = req.body;
+    const userId = req.user.id;
+
+    if (!isValidDateString(date)) {
+      return res.status(400).json({ message: "Date must be in YYYY-MM-DD format" });
+    }
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ message: "Name is required" });
+    }
+
+    const timezone = await getUserTimezone(pool, userId);
+    const logs = await getDayLogs(pool, userId, date, timezone, meal_slot ?? null);
+    if (logs.length === 0) {
+      return res.status(404).json({ message: "No food logs to save" });
+    }
+
+    // Copies rather than catalog references, so the amounts logged are kept
+    const foods = logs.map(log => ({
+      food_name: log.food_name,
+      serving_size: log.serving_size,
+      nutrients: fromLogRow(log)
+    }));
+
+    const result = await pool.query(
+      `INSERT INTO meal_templates (user_id, name, foods)
+       VALUES ($1, $2, $3)
+       RETURNING id, name, foods, created_at`,
+      [userId, name.trim(), JSON.stringify(foods)]
+    );
+
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    console.error("Error saving day as template:", error);
+    res.status(500).json({ message: "Error saving template" });
+  }
+});
+
+// Get user's food logs for a date in their timezone, grouped by meal slot
+router.get("/logs/:date", authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const date = req.params.date;
+
+    if (!isValidDateString(date)) {
+      return res.status(400).json({ message: "Date must be in YYYY-MM-DD format" });
+    }
+
+    const timezone = await getUserTimezone(pool, userId);
+    const result = await pool.query(
+      `SELECT * FROM food_logs 
+       WHERE user_id = $1 
+       AND (logged_at AT TIME ZONE $2)::date = $3
+       ORDER BY logged_at`,
+      [userId, timezone, date]
+    );
+
+    const slots = await getMealSlots(pool, userId);
+    const targets = await getMicronutrientTargets(pool, userId);
+    res.json({
+      date,
+      timezone,
+      ...groupLogsBySlot(result.rows, slots),
+      nutrients: nutrientReport(result.rows, targets)
+    });
+  } catch (error) {
+    console.error("Error fetching food logs:", error);
+    res.status(500).json({ message: "Error fetching food logs" });
+  }
+});
+
+// Goals in force on a date (default today in the user's timezone)
+router.get("/goals", authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const timezone = await getUserTimezone(pool, userId);
+    const date = req.query.date || await localToday(pool, timezone);
+
+    if (!isValidDateString(date)) {
+      return res.status(400).json({ message: "Date must be in YYYY-MM-DD format" });
+    }
+
+    // Defaults apply until the user sets their own goals
+    res.json({ date, ...(await getGoalsForDate(pool, userId, date)) });
+  } catch (error) {
+    console.error("Error fetching nutrition goals:", error);
+    res.status(500).json({ 
+      message: "Error fetching nutrition goals",
+      error: error.message 
+    });
+  }
+});
+
+// Every goal version the user has set, oldest first
+router.get("/goals/history", authenticateToken, async (req, res) => {
+  try {
+    res.json(await loadGoalSchedule(pool, req.user.id));
+  } catch (error) {
+    console.error("Error fetching goal history:", error);
+    res.status(500).json({ message: "Error fetching goal history" });
+  }
+});
+
+const MAX_SUMMARY_RANGE_DAYS = 92;
+
+// Consumed vs. goal for one day (default today) in the user's timezone,
+// with water and micronutrients against their targets
+router.get("/summary", authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const timezone = await getUserTimezone(pool, userId);
+    const date = req.query.date || await localToday(pool, timezone);
+
+    if (!isValidDateString(date)) {
+      return res.status(400).json({ message: "Date must be in YYYY-MM-DD format" });
+    }
+
+    const logs = await pool.query(
+      `SELECT * FROM food_logs
+       WHERE user_id = $1
+       AND (logged_at AT TIME ZONE $2)::date = $3`,
+      [userId, timezone, date]
+    );
+
+    const water = await pool.query(
+      `SELECT COALESCE(SUM(amount_ml), 0) AS total_ml FROM water_logs
+       WHERE user_id = $1
+       AND (logged_at AT TIME ZONE $2)::date = $3`,
+      [userId, timezone, date]
+    );
 
-    res.json(searchResults);
+    const goals = await getGoalsForDate(pool, userId, date);
+    const targets = await getMicronutrientTargets(pool, userId);
+    const { units, goalMl } = await getWaterSettings(pool, userId);
+
+    res.json({
+      date,
+      timezone,
+      entries: logs.rows.length,
+      goal_day_type: goals.day_type,
+      training_day: goals.training_day,
+      ...summarizeDay(sumMacros(logs.rows), goals),
+      water: summarizeWater(parseFloat(water.rows[0].total_ml), goalMl, units),
+      nutrients: nutrientReport(logs.rows, targets)
+    });
   } catch (error) {
-    console.error("Error searching foods:", error);
-    res.status(500).json({ message: "Error searching foods", error: error.message });
+    console.error("Error fetching nutrition summary:", error);
+    res.status(500).json({ message: "Error fetching nutrition summary" });
   }
 });
 
-// Get detailed nutrients for a food
-router.post("/nutrients", authenticateToken, async (req, res) => {
+// Day-by-day summaries for startDate..endDate, each against the goals in
+// force that day, plus the average over the days that have entries against
+// the average of their goals
+router.get("/summary/range", authenticateToken, validateDateRange, async (req, res) => {
   try {
-    const { query } = req.body;
-    if (!query) {
-      return res.status(400).json({ message: "Query is required" });
+    const userId = req.user.id;
+    const { startDate, endDate } = req.query;
+
+    if (!startDate || !endDate) {
+      return res.status(400).json({ message: "startDate and endDate are required" });
     }
 
-    const response = await fetch(`${NUTRITIONIX_BASE_URL}/natural/nutrients`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "x-app-id": NUTRITIONIX_APP_ID,
-        "x-app-key": NUTRITIONIX_API_KEY,
-        "x-remote-user-id": "0"
-      },
-      body: JSON.stringify({
-        query,
-        timezone: "US/Eastern"
-      })
-    });
+    const days = (new Date(endDate) - new Date(startDate)) / (24 * 60 * 60 * 1000) + 1;
+    if (days > MAX_SUMMARY_RANGE_DAYS) {
+      return res.status(400).json({
+        message: `Date range cannot be longer than ${MAX_SUMMARY_RANGE_DAYS} days`
+      });
+    }
+
+    const timezone = await getUserTimezone(pool, userId);
+    const result = await pool.query(
+      `SELECT
+         to_char(d, 'YYYY-MM-DD') AS date,
+         COUNT(fl.id)::int AS entries,
+         COALESCE(SUM(fl.calories), 0) AS calories,
+         COALESCE(SUM(fl.protein), 0) AS protein,
+         COALESCE(SUM(fl.carbs), 0) AS carbs,
+         COALESCE(SUM(fl.fats), 0) AS fats
+       FROM generate_series($2::date, $3::date, INTERVAL '1 day') d
+       LEFT JOIN food_logs fl
+         ON fl.user_id = $1
+         AND (fl.logged_at AT TIME ZONE $4)::date = d::date
+       GROUP BY d
+       ORDER BY d`,
+      [userId, startDate, endDate, timezone]
+    );
+
+    const schedule = await loadGoalSchedule(pool, userId);
+    const trainingDays = await getTrainingDays(pool, userId, startDate, endDate);
+    for (const day of result.rows) {
+      day.goals = resolveGoals(schedule, day.date, trainingDays.has(day.date));
+    }
 
-    if (!response.ok) {
-      throw new Error(`Nutritionix API error: ${response.status}`);
+    // Without logged days, compare against the goals for endDate
+    const loggedDays = result.rows.filter(day => day.entries > 0);
+    const averagedDays = loggedDays.length > 0 ? loggedDays : result.rows.slice(-1);
+    const average = {};
+    const averageGoals = {};
+    for (const macro of ["calories", "protein", "carbs", "fats"]) {
+      const total = loggedDays.reduce((sum, day) => sum + parseFloat(day[macro]), 0);
+      average[macro] = loggedDays.length > 0 ? total / loggedDays.length : 0;
+    }
+    for (const field of GOAL_FIELDS) {
+      const total = averagedDays.reduce((sum, day) => sum + day.goals[field], 0);
+      averageGoals[field] = Math.round(total / averagedDays.length);
     }
 
-    const data = await response.json();
-    res.json(data);
+    res.json({
+      startDate,
+      endDate,
+      timezone,
+      daysLogged: loggedDays.length,
+      days: result.rows.map(day => ({
+        date: day.date,
+        entries: day.entries,
+        goal_day_type: day.goals.day_type,
+        training_day: day.goals.training_day,
+        ...summarizeDay(day, day.goals)
+      })),
+      average: summarizeDay(average, averageGoals)
+    });
   } catch (error) {
-    console.error("Error getting nutrients:", error);
-    res.status(500).json({ message: "Error getting nutrients", error: error.message });
+    console.error("Error fetching nutrition summary range:", error);
+    res.status(500).json({ message: "Error fetching nutrition summary" });
   }
 });
 
-// Log food item
-router.post("/log", authenticateToken, async (req, res) => {
-  const client = await pool.connect();
+// Set nutrition goals from effective_from (default today in the user's
+// timezone) on. day_type picks a variant: training, rest or a weekday;
+// without it the default goals change. Earlier days keep their goals.
+router.post("/goals", authenticateToken, async (req, res) => {
   try {
-    await client.query("BEGIN");
-
-    const { food_name, serving_size, nutrients } = req.body;
+    const { day_type = "default", effective_from } = req.body;
     const userId = req.user.id;
 
-    // Validate required fields
-    if (!food_name || !serving_size || !nutrients) {
-      return res.status(400).json({ 
-        message: "Missing required fields: food_name, serving_size, or nutrients" 
+    // Validate the input
+    const validationError = validateGoals(req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+    if (!GOAL_DAY_TYPES.includes(day_type)) {
+      return res.status(400).json({
+        message: `day_type must be one of: ${GOAL_DAY_TYPES.join(", ")}`
       });
     }
+    if (effective_from !== undefined && !isValidDateString(effective_from)) {
+      return res.status(400).json({ message: "effective_from must be in YYYY-MM-DD format" });
+    }
 
-    const result = await client.query(
-      `INSERT INTO food_logs (
-        user_id, 
-        food_name, 
-        serving_size,
-        calories, 
-        protein, 
-        carbs, 
-        fats,
-        logged_at
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP) 
-      RETURNING *`,
-      [
-        userId,
-        food_name,
-        serving_size,
-        Math.round(nutrients.calories || 0),
-        Math.round(nutrients.protein || 0),
-        Math.round(nutrients.totalCarbs || 0),
-        Math.round(nutrients.totalFat || 0)
-      ]
-    );
+    const effectiveFrom = effective_from || await localToday(pool, await getUserTimezone(pool, userId));
+    const goals = await saveGoals(pool, userId, req.body, { dayType: day_type, effectiveFrom });
 
-    await client.query("COMMIT");
-    res.status(201).json(result.rows[0]);
+    res.json(goals);
   } catch (error) {
-    await client.query("ROLLBACK");
-    console.error("Error logging food:", error);
+    console.error("Error setting goals:", error);
     res.status(500).json({ 
-      message: "Error logging food", 
+      message: "Error setting goals",
       error: error.message 
     });
-  } finally {
-    client.release();
   }
 });
 
-// Get user's food logs for a specific date
-router.get("/logs/:date", authenticateToken, async (req, res) => {
+// Stop using a goal variant from effective_from (default today) on; those
+// days fall back to the next most specific goals
+router.delete("/goals/:dayType", authenticateToken, async (req, res) => {
   try {
+    const { dayType } = req.params;
+    const { effective_from } = req.query;
     const userId = req.user.id;
-    const date = req.params.date;
 
-    const result = await pool.query(
-      `SELECT * FROM food_logs 
-       WHERE user_id = $1 
-       AND DATE(logged_at) = $2
-       ORDER BY logged_at DESC`,
-      [userId, date]
-    );
+    if (dayType === "default" || !GOAL_DAY_TYPES.includes(dayType)) {
+      return res.status(400).json({
+        message: `Only variants can be ended: ${GOAL_DAY_TYPES.filter(type => type !== "default").join(", ")}`
+      });
+    }
+    if (effective_from !== undefined && !isValidDateString(effective_from)) {
+      return res.status(400).json({ message: "effective_from must be in YYYY-MM-DD format" });
+    }
 
-    res.json(result.rows);
+    const effectiveFrom = effective_from || await localToday(pool, await getUserTimezone(pool, userId));
+    res.json(await endGoalVariant(pool, userId, dayType, effectiveFrom));
   } catch (error) {
-    console.error("Error fetching food logs:", error);
-    res.status(500).json({ message: "Error fetching food logs" });
+    console.error("Error ending goal variant:", error);
+    res.status(500).json({ message: "Error ending goal variant" });
   }
 });
 
-// Get user's nutrition goals
-router.get("/goals", authenticateToken, async (req, res) => {
+// Edit a food log entry (owner only). New servings rescale entries logged
+// from the catalog or a recipe; nutrients given explicitly override the
+// matching values. Date and time are in the user's timezone.
+router.put("/logs/:id", authenticateToken, async (req, res) => {
+  const client = await pool.connect();
   try {
+    const logId = req.params.id;
     const userId = req.user.id;
-    
-    const result = await pool.query(
-      `SELECT 
-        calorie_goal,
-        protein_goal,
-        carbs_goal,
-        fats_goal
-       FROM daily_goals 
-       WHERE user_id = $1`,
-      [userId]
+    const { food_name, serving_size, servings, nutrients, meal_slot, date, time } = req.body;
+
+    const existing = await client.query(
+      "SELECT * FROM food_logs WHERE id = $1",
+      [logId]
     );
 
-    // If no goals are set, return default values
-    if (result.rows.length === 0) {
-      return res.json({
-        calorie_goal: 2000,
-        protein_goal: 50,
-        carbs_goal: 250,
-        fats_goal: 70
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ 
+        message: "Food log entry not found" 
       });
     }
 
-    res.json(result.rows[0]);
-  } catch (error) {
-    console.error("Error fetching nutrition goals:", error);
-    res.status(500).json({ 
-      message: "Error fetching nutrition goals",
-      error: error.message 
-    });
-  }
-});
+    if (existing.rows[0].user_id !== userId) {
+      return res.status(403).json({ 
+        message: "Unauthorized to update this food log entry" 
+      });
+    }
 
-// Set daily nutrition goals
-router.post("/goals", authenticateToken, async (req, res) => {
-  try {
-    const { calorie_goal, protein_goal, carbs_goal, fats_goal } = req.body;
-    const userId = req.user.id;
+    if (food_name !== undefined && (typeof food_name !== 'string' || !food_name.trim())) {
+      return res.status(400).json({ message: "Food name must be a non-empty string" });
+    }
+    if (serving_size !== undefined && (typeof serving_size !== 'string' || !serving_size.trim())) {
+      return res.status(400).json({ message: "Serving size must be a non-empty string" });
+    }
+    if (servings !== undefined && (typeof servings !== 'number' || servings <= 0)) {
+      return res.status(400).json({ message: "Servings must be a positive number" });
+    }
+    if (nutrients !== undefined) {
+      const nutrientsError = nutrients && typeof nutrients === 'object'
+        ? validateNutrients(nutrients)
+        : "Nutrients must be an object";
+      if (nutrientsError) {
+        return res.status(400).json({ message: nutrientsError });
+      }
+    }
+    if (date !== undefined && !isValidDateString(date)) {
+      return res.status(400).json({ message: "Date must be in YYYY-MM-DD format" });
+    }
+    if (time !== undefined && !isValidTimeString(time)) {
+      return res.status(400).json({ message: "Time must be in HH:MM format" });
+    }
 
-    // Validate the input
-    if (!calorie_goal || !protein_goal || !carbs_goal || !fats_goal) {
-      return res.status(400).json({ message: "All goals are required" });
+    const log = existing.rows[0];
+    const changes = {
+      food_name: food_name?.trim() ?? log.food_name,
+      serving_size: serving_size?.trim() ?? log.serving_size,
+      nutrients: fromLogRow(log),
+      meal_slot: log.meal_slot,
+      logged_at: log.logged_at
+    };
+
+    if (servings !== undefined) {
+      if (log.food_id) {
+        const food = await getFood(client, log.food_id, userId);
+        if (!food) {
+          return res.status(400).json({ message: "The food this entry was logged from no longer exists" });
+        }
+        changes.serving_size = serving_size?.trim() ?? formatServing(food, servings);
+        changes.nutrients = scaleFood(food, servings);
+      } else if (log.recipe_id) {
+        const recipe = await getRecipe(client, log.recipe_id, userId);
+        if (!recipe) {
+          return res.status(400).json({ message: "The recipe this entry was logged from no longer exists" });
+        }
+        changes.serving_size = serving_size?.trim() ?? formatRecipeServing(servings);
+        changes.nutrients = scaleRecipe(recipe, servings);
+      } else {
+        return res.status(400).json({
+          message: "Servings can only be changed for entries logged from a food or recipe; send nutrients instead"
+        });
+      }
     }
 
-    const result = await pool.query(
-      `INSERT INTO daily_goals 
-       (user_id, calorie_goal, protein_goal, carbs_goal, fats_goal)
-       VALUES ($1, $2, $3, $4, $5)
-       ON CONFLICT (user_id) 
-       DO UPDATE SET 
-         calorie_goal = $2,
-         protein_goal = $3,
-         carbs_goal = $4,
-         fats_goal = $5,
-         updated_at = CURRENT_TIMESTAMP
-       RETURNING *`,
-      [userId, calorie_goal, protein_goal, carbs_goal, fats_goal]
-    );
+    if (nutrients) {
+      changes.nutrients = { ...changes.nutrients, ...nutrients };
+    }
 
-    res.json(result.rows[0]);
+    if (meal_slot !== undefined) {
+      const { slot, error: slotError } = await findMealSlot(client, userId, meal_slot);
+      if (slotError) {
+        return res.status(400).json({ message: slotError });
+      }
+      changes.meal_slot = slot;
+    }
+
+    // A new date keeps the time of day and vice versa
+    if (date !== undefined || time !== undefined) {
+      const timezone = await getUserTimezone(client, userId);
+      const current = await toLocalParts(client, log.logged_at, timezone);
+      const resolved = await resolveLocalTime(
+        client,
+        { date: date ?? current.date, time: time ?? current.time },
+        timezone
+      );
+      if (resolved.error) {
+        return res.status(400).json({ message: resolved.error });
+      }
+      changes.logged_at = resolved.loggedAt;
+    }
+
+    const updated = await updateFoodLog(client, userId, logId, changes);
+    res.json(updated);
   } catch (error) {
-    console.error("Error setting goals:", error);
+    console.error("Error updating food log:", error);
     res.status(500).json({ 
-      message: "Error setting goals",
-      error: error.message 
+      message: "Failed to update food log entry",
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
+  } finally {
+    client.release();
   }
 });
 
@@ -304,32 +1502,265 @@ router.delete("/logs/:id", authenticateToken, async (req, res) => {
   }
 });
 
+// Calorie and macro recommendations from the body data in the user's
+// profile (see PUT /api/user/profile)
+async function getRecommendations(client, userId) {
+  const profile = await client.query(
+    `SELECT height_cm, weight_kg, birth_date, sex, activity_level, fitness_goal
+     FROM user_preferences
+     WHERE user_id = $1`,
+    [userId]
+  );
+  return calculateNutritionRecommendations(profile.rows[0] || {});
+}
+
 // Get nutrition recommendations
 router.get("/recommendations", authenticateToken, async (req, res) => {
+  try {
+    const recommendations = await getRecommendations(pool, req.user.id);
+    res.json(recommendations);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message, missing: error.missing });
+    }
+    console.error("Error getting recommendations:", error);
+    res.status(500).json({ message: "Error getting recommendations" });
+  }
+});
+
+// Make the recommended goals the user's default goals from today on
+router.post("/recommendations/apply", authenticateToken, async (req, res) => {
+  try {
+    const { goals } = await getRecommendations(pool, req.user.id);
+    const timezone = await getUserTimezone(pool, req.user.id);
+
+    const saved = await saveGoals(pool, req.user.id, goals, {
+      effectiveFrom: await localToday(pool, timezone),
+    });
+
+    res.json(saved);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message, missing: error.missing });
+    }
+    console.error("Error applying recommendations:", error);
+    res.status(500).json({ message: "Error applying recommendations" });
+  }
+});
+
+// Reference daily values for tracked nutrients with the user's own targets
+router.get("/micronutrient-targets", authenticateToken, async (req, res) => {
+  try {
+    const targets = await getMicronutrientTargets(pool, req.user.id);
+
+    res.json([...NUTRIENT_COLUMNS, ...MICRONUTRIENTS].map(nutrient => ({
+      key: nutrient.key,
+      label: nutrient.label,
+      unit: nutrient.unit,
+      dailyValue: nutrient.dailyValue,
+      target: targets[nutrient.key] ?? null
+    })));
+  } catch (error) {
+    console.error("Error fetching micronutrient targets:", error);
+    res.status(500).json({ message: "Error fetching micronutrient targets" });
+  }
+});
+
+// Set targets, e.g. { targets: { sodium: 1500, iron: null } }. A null target
+// goes back to the reference daily value.
+router.put("/micronutrient-targets", authenticateToken, async (req, res) => {
+  const { targets } = req.body;
+
+  if (!targets || typeof targets !== 'object' || Array.isArray(targets)) {
+    return res.status(400).json({ message: "Targets must be an object" });
+  }
+
+  for (const [nutrient, amount] of Object.entries(targets)) {
+    if (!NUTRIENT_KEYS.includes(nutrient)) {
+      return res.status(400).json({ message: `Unknown nutrient: ${nutrient}` });
+    }
+    if (amount !== null && (typeof amount !== 'number' || amount <= 0)) {
+      return res.status(400).json({ message: `Target for ${nutrient} must be a positive number or null` });
+    }
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    for (const [nutrient, amount] of Object.entries(targets)) {
+      if (amount === null) {
+        await client.query(
+          "DELETE FROM micronutrient_targets WHERE user_id = $1 AND nutrient = $2",
+          [req.user.id, nutrient]
+        );
+        continue;
+      }
+
+      await client.query(
+        `INSERT INTO micronutrient_targets (user_id, nutrient, amount)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (user_id, nutrient)
+         DO UPDATE SET amount = EXCLUDED.amount, updated_at = CURRENT_TIMESTAMP`,
+        [req.user.id, nutrient, amount]
+      );
+    }
+
+    await client.query("COMMIT");
+    res.json({
+      message: "Micronutrient targets updated successfully",
+      targets: await getMicronutrientTargets(client, req.user.id)
+    });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("Error updating micronutrient targets:", error);
+    res.status(500).json({ message: "Error updating micronutrient targets" });
+  } finally {
+    client.release();
+  }
+});
+
+// Water logged on a date (default today in the user's timezone), in the
+// user's units, with the total against their daily target
+router.get("/water", authenticateToken, async (req, res) => {
   try {
     const userId = req.user.id;
+    const timezone = await getUserTimezone(pool, userId);
+    const date = req.query.date || await localToday(pool, timezone);
 
-    // Get user profile data for calculations
-    const userProfile = await pool.query(
-      `SELECT * FROM user_preferences WHERE user_id = $1`,
-      [userId]
+    if (!isValidDateString(date)) {
+      return res.status(400).json({ message: "Date must be in YYYY-MM-DD format" });
+    }
+
+    const result = await pool.query(
+      `SELECT * FROM water_logs
+       WHERE user_id = $1
+       AND (logged_at AT TIME ZONE $2)::date = $3
+       ORDER BY logged_at`,
+      [userId, timezone, date]
     );
 
-    if (!userProfile.rows.length) {
-      return res.status(400).json({ message: "User profile not found" });
+    const { units, goalMl } = await getWaterSettings(pool, userId);
+    const totalMl = result.rows.reduce((sum, row) => sum + parseFloat(row.amount_ml), 0);
+
+    res.json({
+      date,
+      entries: result.rows.map(row => formatWaterLog(row, units)),
+      ...summarizeWater(totalMl, goalMl, units)
+    });
+  } catch (error) {
+    console.error("Error fetching water logs:", error);
+    res.status(500).json({ message: "Error fetching water logs" });
+  }
+});
+
+// Log water or another beverage. The amount is in the user's units; date
+// and time are optional and in the user's timezone.
+router.post("/water", authenticateToken, async (req, res) => {
+  try {
+    const { amount, beverage = "water", date, time } = req.body;
+    const userId = req.user.id;
+    const { units } = await getWaterSettings(pool, userId);
+
+    const amountError = validateWaterAmount(amount, units);
+    if (amountError) {
+      return res.status(400).json({ message: amountError });
+    }
+    if (typeof beverage !== "string" || !beverage.trim() || beverage.length > 50) {
+      return res.status(400).json({ message: "Beverage must be a name of up to 50 characters" });
+    }
+    if (date !== undefined && !isValidDateString(date)) {
+      return res.status(400).json({ message: "Date must be in YYYY-MM-DD format" });
+    }
+    if (time !== undefined && !isValidTimeString(time)) {
+      return res.status(400).json({ message: "Time must be in HH:MM format" });
+    }
+
+    let loggedAt = null;
+    if (date !== undefined || time !== undefined) {
+      const timezone = await getUserTimezone(pool, userId);
+      const resolved = await resolveLocalTime(pool, { date, time }, timezone);
+      if (resolved.error) {
+        return res.status(400).json({ message: resolved.error });
+      }
+      loggedAt = resolved.loggedAt;
     }
 
-    // Calculate recommendations
-    const recommendations = calculateNutritionRecommendations(
-      userProfile.rows[0]
+    const result = await pool.query(
+      `INSERT INTO water_logs (user_id, amount_ml, beverage, logged_at)
+       VALUES ($1, $2, $3, COALESCE($4::timestamptz, CURRENT_TIMESTAMP))
+       RETURNING *`,
+      [userId, toMl(amount, units), beverage.trim().toLowerCase(), loggedAt]
     );
-    res.json(recommendations);
+
+    res.status(201).json(formatWaterLog(result.rows[0], units));
   } catch (error) {
-    console.error("Error getting recommendations:", error);
-    res.status(500).json({ message: "Error getting recommendations" });
+    console.error("Error logging water:", error);
+    res.status(500).json({ message: "Error logging water" });
   }
 });
 
+// Set the daily water target in the user's units; null goes back to the
+// default
+router.put("/water/goal", authenticateToken, async (req, res) => {
+  try {
+    const { goal } = req.body;
+    const userId = req.user.id;
+    const { units } = await getWaterSettings(pool, userId);
+
+    if (goal !== null && (typeof goal !== "number" || goal <= 0)) {
+      return res.status(400).json({ message: "Goal must be a positive number or null" });
+    }
+
+    await pool.query(
+      `INSERT INTO user_preferences (user_id, water_goal_ml)
+       VALUES ($1, $2)
+       ON CONFLICT (user_id)
+       DO UPDATE SET water_goal_ml = EXCLUDED.water_goal_ml, updated_at = CURRENT_TIMESTAMP`,
+      [userId, goal === null ? null : Math.round(toMl(goal, units))]
+    );
+
+    const { goalMl } = await getWaterSettings(pool, userId);
+    res.json({ goal: fromMl(goalMl, units), unit: WATER_UNITS[units] });
+  } catch (error) {
+    console.error("Error setting water goal:", error);
+    res.status(500).json({ message: "Error setting water goal" });
+  }
+});
+
+// Delete a water log entry (owner only)
+router.delete("/water/:id", authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      "DELETE FROM water_logs WHERE id = $1 AND user_id = $2 RETURNING id",
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "Water log entry not found" });
+    }
+
+    res.json({ message: "Water log entry deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting water log:", error);
+    res.status(500).json({ message: "Error deleting water log" });
+  }
+});
+
+// Flag template foods that conflict with the user's dietary restrictions
+function withTemplateWarnings(template, restrictions) {
+  const foods = (template.foods || []).map(food => ({
+    ...food,
+    dietaryWarnings: getDietaryWarnings(food, restrictions)
+  }));
+
+  return {
+    ...template,
+    foods,
+    dietaryWarnings: foods.flatMap(food => food.dietaryWarnings)
+  };
+}
+
 // Save meal template
 router.post("/templates", authenticateToken, async (req, res) => {
   try {
@@ -358,7 +1789,8 @@ router.get("/templates", authenticateToken, async (req, res) => {
       `SELECT * FROM meal_templates WHERE user_id = $1`,
       [userId]
     );
-    res.json(templates.rows);
+    const restrictions = await getUserRestrictions(pool, userId);
+    res.json(templates.rows.map(template => withTemplateWarnings(template, restrictions)));
   } catch (error) {
     console.error("Error getting templates:", error);
     res.status(500).json({ message: "Error getting templates" });
@@ -405,7 +1837,8 @@ router.get("/templates/:id", authenticateToken, async (req, res) => {
       return res.status(404).json({ message: "Template not found" });
     }
 
-    res.json(result.rows[0]);
+    const restrictions = await getUserRestrictions(pool, userId);
+    res.json(withTemplateWarnings(result.rows[0], restrictions));
   } catch (error) {
     console.error("Error fetching template:", error);
     res.status(500).json({ 
@@ -452,6 +1885,91 @@ router.post("/templates", authenticateToken, async (req, res) => {
   }
 });
 
+// Log every food in a template as separate entries sharing a batch_id, so
+// the whole meal can be undone with DELETE /logs/batch/:batchId
+router.post("/templates/:id/log", authenticateToken, async (req, res) => {
+  const { multiplier = 1, date, meal_slot } = req.body;
+  const userId = req.user.id;
+
+  if (typeof multiplier !== 'number' || multiplier <= 0) {
+    return res.status(400).json({ message: "Multiplier must be a positive number" });
+  }
+
+  if (date !== undefined && !isValidDateString(date)) {
+    return res.status(400).json({ message: "Date must be in YYYY-MM-DD format" });
+  }
+
+  const client = await pool.connect();
+  try {
+    const template = await client.query(
+      `SELECT id, name, foods FROM meal_templates
+       WHERE id = $1 AND user_id = $2`,
+      [req.params.id, userId]
+    );
+
+    if (template.rows.length === 0) {
+      return res.status(404).json({ message: "Template not found" });
+    }
+
+    const { slot: mealSlot, error: slotError } = await findMealSlot(client, userId, meal_slot);
+    if (slotError) {
+      return res.status(400).json({ message: slotError });
+    }
+
+    let loggedAt = null;
+    if (date) {
+      const timezone = await getUserTimezone(client, userId);
+      const resolved = await resolveLocalTime(client, { date }, timezone);
+      if (resolved.error) {
+        return res.status(400).json({ message: resolved.error });
+      }
+      loggedAt = resolved.loggedAt;
+    }
+
+    const entries = [];
+    for (const templateFood of template.rows[0].foods || []) {
+      const entry = await expandTemplateFood(client, userId, templateFood, multiplier);
+      if (entry) {
+        entries.push(entry);
+      }
+    }
+
+    if (entries.length === 0) {
+      return res.status(400).json({ message: "Template has no foods to log" });
+    }
+
+    const batchId = crypto.randomUUID();
+    const restrictions = await getUserRestrictions(client, userId);
+
+    await client.query("BEGIN");
+
+    const logs = [];
+    for (const entry of entries) {
+      const log = await insertFoodLog(client, userId, {
+        ...entry,
+        meal_slot: mealSlot,
+        batch_id: batchId,
+        logged_at: loggedAt
+      });
+      logs.push({ ...log, dietaryWarnings: getDietaryWarnings(log, restrictions) });
+    }
+
+    await client.query("COMMIT");
+    res.status(201).json({
+      batch_id: batchId,
+      template_id: template.rows[0].id,
+      entries: logs,
+      totals: sumMacros(logs)
+    });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("Error logging template:", error);
+    res.status(500).json({ message: "Error logging template" });
+  } finally {
+    client.release();
+  }
+});
+
 // Delete a template
 router.delete("/templates/:id", authenticateToken, async (req, res) => {
   const client = await pool.connect();
@@ -1,6 +1,8 @@
 import express from "express";
 import { pool } from "../config/database.mjs";
 import { authenticateToken } from "../middleware/auth.mjs";
+import { WATER_UNITS, fromMl, getWaterSettings } from "../services/water.mjs";
+import { getUserTimezone } from "../services/timezones.mjs";
 
 const router = express.Router();
 
@@ -10,21 +12,25 @@ router.get("/", authenticateToken, async (req, res) => {
     const userId = req.user.id;
     const { range = "month" } = req.query;
 
-    let timeFilter;
+    let days;
     switch (range) {
       case "week":
-        timeFilter = "AND date >= NOW() - INTERVAL '7 days'";
+        days = 7;
         break;
       case "month":
-        timeFilter = "AND date >= NOW() - INTERVAL '30 days'";
+        days = 30;
         break;
       case "year":
-        timeFilter = "AND date >= NOW() - INTERVAL '365 days'";
+        days = 365;
         break;
       default:
-        timeFilter = "AND date >= NOW() - INTERVAL '30 days'";
+        days = 30;
     }
 
+    // Days are bucketed in the user's timezone, ending today there
+    const timezone = await getUserTimezone(client, userId);
+    const since = "(NOW() AT TIME ZONE $2)::date - $3::int";
+
     // Check if tables exist first
     const tablesExist = await client.query(`
       SELECT EXISTS (
@@ -54,12 +60,21 @@ router.get("/", authenticateToken, async (req, res) => {
           protein: [],
           carbs: [],
           fats: [],
+          water: [],
+        },
+        fasting: {
+          dates: [],
+          hours: [],
+          completed: [],
         },
         metrics: {
           totalWorkouts: 0,
           avgDuration: 0,
           totalCalories: 0,
           avgCalories: 0,
+          avgWater: 0,
+          totalFasts: 0,
+          avgFastHours: 0,
         },
       });
     }
@@ -67,33 +82,66 @@ router.get("/", authenticateToken, async (req, res) => {
     // Get workout data
     const workouts = await client.query(
       `SELECT 
-         date::date,
+         to_char(date, 'YYYY-MM-DD') as date,
          COUNT(*) as workout_count,
          SUM(duration) as total_duration
        FROM workout_logs
-       WHERE user_id = $1 ${timeFilter}
-       GROUP BY date::date
-       ORDER BY date::date`,
-      [userId]
+       WHERE user_id = $1 AND date > ${since}
+       GROUP BY date
+       ORDER BY date`,
+      [userId, timezone, days]
     );
 
     // Get nutrition data
     const nutrition = await client.query(
       `SELECT 
-         date::date,
+         to_char((logged_at AT TIME ZONE $2)::date, 'YYYY-MM-DD') as date,
          SUM(calories) as total_calories,
          SUM(protein) as total_protein,
          SUM(carbs) as total_carbs,
          SUM(fats) as total_fats
        FROM food_logs
-       WHERE user_id = $1 ${timeFilter}
-       GROUP BY date::date
-       ORDER BY date::date`,
-      [userId]
+       WHERE user_id = $1 AND (logged_at AT TIME ZONE $2)::date > ${since}
+       GROUP BY 1
+       ORDER BY 1`,
+      [userId, timezone, days]
+    );
+
+    // Get water intake, in the user's units
+    const water = await client.query(
+      `SELECT 
+         to_char((logged_at AT TIME ZONE $2)::date, 'YYYY-MM-DD') as date,
+         SUM(amount_ml) as total_ml
+       FROM water_logs
+       WHERE user_id = $1 AND (logged_at AT TIME ZONE $2)::date > ${since}
+       GROUP BY 1
+       ORDER BY 1`,
+      [userId, timezone, days]
+    );
+    const { units } = await getWaterSettings(client, userId);
+
+    // Get finished fasts, on the day they ended
+    const fasting = await client.query(
+      `SELECT 
+         to_char((ended_at AT TIME ZONE $2)::date, 'YYYY-MM-DD') as date,
+         COUNT(*) as fast_count,
+         SUM(EXTRACT(EPOCH FROM (ended_at - started_at)) / 3600) as total_hours,
+         BOOL_OR(end_reason = 'completed') as completed
+       FROM fasting_windows
+       WHERE user_id = $1 AND ended_at IS NOT NULL
+       AND (ended_at AT TIME ZONE $2)::date > ${since}
+       GROUP BY 1
+       ORDER BY 1`,
+      [userId, timezone, days]
     );
 
     // If no data found, return empty data structure
-    if (workouts.rows.length === 0 && nutrition.rows.length === 0) {
+    if (
+      workouts.rows.length === 0 &&
+      nutrition.rows.length === 0 &&
+      water.rows.length === 0 &&
+      fasting.rows.length === 0
+    ) {
       return res.json({
         workouts: {
           dates: [],
@@ -106,12 +154,21 @@ router.get("/", authenticateToken, async (req, res) => {
           protein: [],
           carbs: [],
           fats: [],
+          water: [],
+        },
+        fasting: {
+          dates: [],
+          hours: [],
+          completed: [],
         },
         metrics: {
           totalWorkouts: 0,
           avgDuration: 0,
           totalCalories: 0,
           avgCalories: 0,
+          avgWater: 0,
+          totalFasts: 0,
+          avgFastHours: 0,
         },
       });
     }
@@ -138,6 +195,32 @@ router.get("/", authenticateToken, async (req, res) => {
             0
           ) / nutrition.rows.length
         : 0,
+      avgWater: water.rows.length
+        ? fromMl(
+            water.rows.reduce(
+              (sum, row) => sum + parseFloat(row.total_ml || 0),
+              0
+            ) / water.rows.length,
+            units
+          )
+        : 0,
+      totalFasts: fasting.rows.reduce(
+        (sum, row) => sum + parseInt(row.fast_count || 0),
+        0
+      ),
+      avgFastHours: fasting.rows.length
+        ? Math.round(
+            (fasting.rows.reduce(
+              (sum, row) => sum + parseFloat(row.total_hours || 0),
+              0
+            ) /
+              fasting.rows.reduce(
+                (sum, row) => sum + parseInt(row.fast_count || 0),
+                0
+              )) *
+              100
+          ) / 100
+        : 0,
     };
 
     // Format dates for charts
@@ -145,63 +228,57 @@ router.get("/", authenticateToken, async (req, res) => {
       ...new Set([
         ...workouts.rows.map((row) => row.date),
         ...nutrition.rows.map((row) => row.date),
+        ...water.rows.map((row) => row.date),
+        ...fasting.rows.map((row) => row.date),
       ]),
     ].sort();
 
     const response = {
       workouts: {
-        dates: dates.map((d) => d.toISOString().split("T")[0]),
+        dates,
         durations: dates.map((date) => {
-          const workout = workouts.rows.find(
-            (w) =>
-              w.date.toISOString().split("T")[0] ===
-              date.toISOString().split("T")[0]
-          );
+          const workout = workouts.rows.find((row) => row.date === date);
           return workout ? parseInt(workout.total_duration) || 0 : 0;
         }),
         counts: dates.map((date) => {
-          const workout = workouts.rows.find(
-            (w) =>
-              w.date.toISOString().split("T")[0] ===
-              date.toISOString().split("T")[0]
-          );
+          const workout = workouts.rows.find((row) => row.date === date);
           return workout ? parseInt(workout.workout_count) || 0 : 0;
         }),
       },
       nutrition: {
-        dates: dates.map((d) => d.toISOString().split("T")[0]),
+        dates,
         calories: dates.map((date) => {
-          const log = nutrition.rows.find(
-            (n) =>
-              n.date.toISOString().split("T")[0] ===
-              date.toISOString().split("T")[0]
-          );
+          const log = nutrition.rows.find((row) => row.date === date);
           return log ? parseInt(log.total_calories) || 0 : 0;
         }),
         protein: dates.map((date) => {
-          const log = nutrition.rows.find(
-            (n) =>
-              n.date.toISOString().split("T")[0] ===
-              date.toISOString().split("T")[0]
-          );
+          const log = nutrition.rows.find((row) => row.date === date);
           return log ? parseFloat(log.total_protein) || 0 : 0;
         }),
         carbs: dates.map((date) => {
-          const log = nutrition.rows.find(
-            (n) =>
-              n.date.toISOString().split("T")[0] ===
-              date.toISOString().split("T")[0]
-          );
+          const log = nutrition.rows.find((row) => row.date === date);
           return log ? parseFloat(log.total_carbs) || 0 : 0;
         }),
         fats: dates.map((date) => {
-          const log = nutrition.rows.find(
-            (n) =>
-              n.date.toISOString().split("T")[0] ===
-              date.toISOString().split("T")[0]
-          );
+          const log = nutrition.rows.find((row) => row.date === date);
           return log ? parseFloat(log.total_fats) || 0 : 0;
         }),
+        water: dates.map((date) => {
+          const log = water.rows.find((row) => row.date === date);
+          return log ? fromMl(parseFloat(log.total_ml) || 0, units) : 0;
+        }),
+        waterUnit: WATER_UNITS[units],
+      },
+      fasting: {
+        dates,
+        hours: dates.map((date) => {
+          const fast = fasting.rows.find((row) => row.date === date);
+          return fast ? Math.round(parseFloat(fast.total_hours) * 100) / 100 : 0;
+        }),
+        completed: dates.map((date) => {
+          const fast = fasting.rows.find((row) => row.date === date);
+          return fast ? fast.completed : false;
+        }),
       },
       metrics,
     };
@@ -222,12 +299,21 @@ router.get("/", authenticateToken, async (req, res) => {
         protein: [],
         carbs: [],
         fats: [],
+        water: [],
+      },
+      fasting: {
+        dates: [],
+        hours: [],
+        completed: [],
       },
       metrics: {
         totalWorkouts: 0,
         avgDuration: 0,
         totalCalories: 0,
         avgCalories: 0,
+        avgWater: 0,
+        totalFasts: 0,
+        avgFastHours: 0,
       },
     });
   } finally {
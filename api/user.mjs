@@ -2,7 +2,26 @@ import express from "express";
 import bcrypt from "bcrypt";
 import jwt from "jsonwebtoken";
 import { pool } from "../config/database.mjs";
-import { authenticateToken } from "../middleware/auth.mjs";
+import {
+  authenticateToken,
+  requireUserSession,
+  requireVerifiedEmail,
+} from "../middleware/auth.mjs";
+import { sendVerificationEmail } from "../services/emailVerification.mjs";
+import {
+  generateSecret,
+  otpauthUri,
+  verifyCode,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+} from "../services/totp.mjs";
+import { recordSecurityEvent } from "../services/loginThrottle.mjs";
+import { revokeSession, revokeOtherSessions } from "../services/tokens.mjs";
+import { API_KEY_SCOPES, generateApiKey } from "../services/apiKeys.mjs";
+import { validateRestrictions } from "../services/dietary.mjs";
+import { DEFAULT_MEAL_SLOTS, validateMealSlots } from "../services/mealSlots.mjs";
+import { DEFAULT_TIMEZONE, findTimezone, getUserTimezone } from "../services/timezones.mjs";
+import { BODY_FIELDS, validateBodyProfile } from "../services/recommendations.mjs";
 
 const router = express.Router();
 
@@ -90,8 +109,14 @@ router.get("/reminders", authenticateToken, async (req, res) => {
   }
 });
 
+// Reminders are delivered by email
+const requireVerifiedForReminders = requireVerifiedEmail(
+  "reminders",
+  (req) => req.body.workoutReminder || req.body.nutritionReminder
+);
+
 // Update user reminders
-router.put("/reminders", authenticateToken, async (req, res) => {
+router.put("/reminders", authenticateToken, requireVerifiedForReminders, async (req, res) => {
   const client = await pool.connect();
   try {
     const userId = req.user.id;
@@ -122,7 +147,7 @@ router.put("/reminders", authenticateToken, async (req, res) => {
 });
 
 // Change password
-router.put("/password", authenticateToken, async (req, res) => {
+router.put("/password", authenticateToken, requireUserSession, async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
     const userId = req.user.id;
@@ -152,15 +177,449 @@ router.put("/password", authenticateToken, async (req, res) => {
       userId,
     ]);
 
-    res.json({ message: "Password updated successfully" });
+    // Other devices must log in again with the new password
+    const revokedSessions = await revokeOtherSessions(pool, userId, req.user.sid);
+    await recordSecurityEvent(pool, userId, "password_changed", req);
+
+    res.json({ message: "Password updated successfully", revokedSessions });
   } catch (error) {
     console.error("Error changing password:", error);
     res.status(500).json({ message: "Server error" });
   }
 });
 
+// List active sessions (devices the user is logged in on)
+router.get("/sessions", authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const result = await pool.query(
+      `SELECT s.id, s.user_agent, s.ip_address, s.created_at, s.last_seen_at
+       FROM sessions s
+       WHERE s.user_id = $1
+       AND s.revoked_at IS NULL
+       AND EXISTS (
+         SELECT 1 FROM refresh_tokens rt
+         WHERE rt.session_id = s.id
+         AND rt.revoked_at IS NULL
+         AND rt.expires_at > NOW()
+       )
+       ORDER BY s.last_seen_at DESC`,
+      [userId]
+    );
+
+    res.json(result.rows.map(session => ({
+      ...session,
+      current: session.id === req.user.sid
+    })));
+  } catch (error) {
+    console.error("Error fetching sessions:", error);
+    res.status(500).json({ message: "Error fetching sessions" });
+  }
+});
+
+// Log out everywhere else
+router.delete("/sessions", authenticateToken, requireUserSession, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const userId = req.user.id;
+
+    await client.query("BEGIN");
+    const revokedSessions = await revokeOtherSessions(client, userId, req.user.sid);
+    await recordSecurityEvent(client, userId, "sessions_revoked", req, { revokedSessions });
+    await client.query("COMMIT");
+
+    res.json({ message: "Logged out of all other sessions", revokedSessions });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("Error revoking sessions:", error);
+    res.status(500).json({ message: "Error revoking sessions" });
+  } finally {
+    client.release();
+  }
+});
+
+// Log out a single session
+router.delete("/sessions/:id", authenticateToken, requireUserSession, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const userId = req.user.id;
+    const sessionId = parseInt(req.params.id);
+
+    if (!sessionId) {
+      return res.status(400).json({ message: "Invalid session id" });
+    }
+
+    await client.query("BEGIN");
+    const revoked = await revokeSession(client, userId, sessionId);
+
+    if (!revoked) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ message: "Session not found" });
+    }
+
+    await client.query("COMMIT");
+    res.json({ message: "Session revoked successfully" });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("Error revoking session:", error);
+    res.status(500).json({ message: "Error revoking session" });
+  } finally {
+    client.release();
+  }
+});
+
+// List personal API keys
+router.get("/api-keys", authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const result = await pool.query(
+      `SELECT id, name, prefix, scopes, expires_at, last_used_at, created_at
+       FROM api_keys
+       WHERE user_id = $1 AND revoked_at IS NULL
+       ORDER BY created_at DESC`,
+      [userId]
+    );
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error("Error fetching API keys:", error);
+    res.status(500).json({ message: "Error fetching API keys" });
+  }
+});
+
+// Create a personal API key; the key itself is only returned here
+router.post("/api-keys", authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { name, scopes, expiresInDays } = req.body;
+
+    if (!name || typeof name !== 'string') {
+      return res.status(400).json({ message: "Key name is required" });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ message: "At least one scope is required" });
+    }
+
+    const invalidScopes = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (invalidScopes.length > 0) {
+      return res.status(400).json({
+        message: `Invalid scopes: ${invalidScopes.join(", ")}`,
+        validScopes: API_KEY_SCOPES
+      });
+    }
+
+    if (expiresInDays !== undefined && !(Number.isInteger(expiresInDays) && expiresInDays > 0)) {
+      return res.status(400).json({ message: "expiresInDays must be a positive integer" });
+    }
+
+    const { key, prefix, keyHash } = generateApiKey();
+
+    const result = await pool.query(
+      `INSERT INTO api_keys (user_id, name, prefix, key_hash, scopes, expires_at)
+       VALUES (
+         $1, $2, $3, $4, $5,
+         CASE WHEN $6::int IS NULL THEN NULL ELSE NOW() + make_interval(days => $6::int) END
+       )
+       RETURNING id, name, prefix, scopes, expires_at, created_at`,
+      [userId, name.trim(), prefix, keyHash, [...new Set(scopes)], expiresInDays ?? null]
+    );
+
+    await recordSecurityEvent(pool, userId, "api_key_created", req, {
+      apiKeyId: result.rows[0].id,
+      scopes: result.rows[0].scopes
+    });
+
+    res.status(201).json({
+      message: "API key created. Copy it now; it will not be shown again.",
+      key,
+      apiKey: result.rows[0]
+    });
+  } catch (error) {
+    console.error("Error creating API key:", error);
+    res.status(500).json({ message: "Error creating API key" });
+  }
+});
+
+// Revoke a personal API key
+router.delete("/api-keys/:id", authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const result = await pool.query(
+      `UPDATE api_keys
+       SET revoked_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+       RETURNING id`,
+      [req.params.id, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "API key not found" });
+    }
+
+    await recordSecurityEvent(pool, userId, "api_key_revoked", req, {
+      apiKeyId: result.rows[0].id
+    });
+
+    res.json({ message: "API key revoked successfully" });
+  } catch (error) {
+    console.error("Error revoking API key:", error);
+    res.status(500).json({ message: "Error revoking API key" });
+  }
+});
+
+// Get recent security events (lockouts, password resets, ...)
+router.get("/security-events", authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const result = await pool.query(
+      `SELECT id, event_type, ip_address, user_agent, details, created_at
+       FROM security_events
+       WHERE user_id = $1
+       ORDER BY created_at DESC
+       LIMIT $2`,
+      [userId, limit]
+    );
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error("Error fetching security events:", error);
+    res.status(500).json({ message: "Error fetching security events" });
+  }
+});
+
+// Get two-factor authentication status
+router.get("/2fa", authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const result = await pool.query(
+      `SELECT 
+         u.totp_enabled_at,
+         (SELECT COUNT(*) FROM totp_recovery_codes
+          WHERE user_id = u.id AND used_at IS NULL) AS recovery_codes_remaining
+       FROM users u
+       WHERE u.id = $1`,
+      [userId]
+    );
+
+    res.json({
+      enabled: Boolean(result.rows[0].totp_enabled_at),
+      enabledAt: result.rows[0].totp_enabled_at,
+      recoveryCodesRemaining: parseInt(result.rows[0].recovery_codes_remaining)
+    });
+  } catch (error) {
+    console.error("Error fetching 2FA status:", error);
+    res.status(500).json({ message: "Error fetching two-factor status" });
+  }
+});
+
+// Start 2FA enrollment: returns a secret for the authenticator app
+router.post("/2fa/setup", authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const user = await pool.query(
+      "SELECT username, totp_enabled_at FROM users WHERE id = $1",
+      [userId]
+    );
+
+    if (user.rows[0].totp_enabled_at) {
+      return res.status(400).json({ 
+        message: "Two-factor authentication is already enabled" 
+      });
+    }
+
+    // Not active until confirmed with a first code
+    const secret = generateSecret();
+    await pool.query(
+      "UPDATE users SET totp_pending_secret = $1 WHERE id = $2",
+      [secret, userId]
+    );
+
+    res.json({
+      secret,
+      otpauthUri: otpauthUri(secret, user.rows[0].username)
+    });
+  } catch (error) {
+    console.error("Error starting 2FA setup:", error);
+    res.status(500).json({ message: "Error starting two-factor setup" });
+  }
+});
+
+// Confirm 2FA enrollment with a first code
+router.post("/2fa/confirm", authenticateToken, requireUserSession, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const userId = req.user.id;
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ message: "Code is required" });
+    }
+
+    await client.query("BEGIN");
+
+    const user = await client.query(
+      "SELECT totp_pending_secret, totp_enabled_at FROM users WHERE id = $1 FOR UPDATE",
+      [userId]
+    );
+
+    const { totp_pending_secret, totp_enabled_at } = user.rows[0];
+
+    if (totp_enabled_at || !totp_pending_secret) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ 
+        message: "No two-factor setup in progress" 
+      });
+    }
+
+    const step = verifyCode(totp_pending_secret, code);
+    if (step === null) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ message: "Invalid authentication code" });
+    }
+
+    await client.query(
+      `UPDATE users
+       SET totp_secret = totp_pending_secret,
+           totp_pending_secret = NULL,
+           totp_enabled_at = CURRENT_TIMESTAMP,
+           totp_last_used_step = $1
+       WHERE id = $2`,
+      [step, userId]
+    );
+
+    const recoveryCodes = await regenerateRecoveryCodes(client, userId);
+    await recordSecurityEvent(client, userId, "2fa_enabled", req);
+
+    await client.query("COMMIT");
+
+    res.json({
+      message: "Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.",
+      recoveryCodes
+    });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("Error confirming 2FA:", error);
+    res.status(500).json({ message: "Error confirming two-factor setup" });
+  } finally {
+    client.release();
+  }
+});
+
+// Replace recovery codes (requires a current code)
+router.post("/2fa/recovery-codes", authenticateToken, requireUserSession, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const userId = req.user.id;
+    const { code } = req.body;
+
+    await client.query("BEGIN");
+
+    const user = await client.query(
+      `SELECT id, totp_secret, totp_enabled_at, totp_last_used_step
+       FROM users WHERE id = $1 FOR UPDATE`,
+      [userId]
+    );
+
+    if (!user.rows[0].totp_enabled_at) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ 
+        message: "Two-factor authentication is not enabled" 
+      });
+    }
+
+    if (!(await verifySecondFactor(client, user.rows[0], { code }))) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ message: "Invalid authentication code" });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(client, userId);
+    await recordSecurityEvent(client, userId, "2fa_recovery_codes_regenerated", req);
+
+    await client.query("COMMIT");
+
+    res.json({ recoveryCodes });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("Error regenerating recovery codes:", error);
+    res.status(500).json({ message: "Error regenerating recovery codes" });
+  } finally {
+    client.release();
+  }
+});
+
+// Disable 2FA (requires the password and a code or recovery code)
+router.post("/2fa/disable", authenticateToken, requireUserSession, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const userId = req.user.id;
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({ 
+        message: "Password and a code or recovery code are required" 
+      });
+    }
+
+    await client.query("BEGIN");
+
+    const user = await client.query(
+      `SELECT id, password, totp_secret, totp_enabled_at, totp_last_used_step
+       FROM users WHERE id = $1 FOR UPDATE`,
+      [userId]
+    );
+
+    if (!user.rows[0].totp_enabled_at) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ 
+        message: "Two-factor authentication is not enabled" 
+      });
+    }
+
+    const validPassword = await bcrypt.compare(password, user.rows[0].password);
+    if (!validPassword) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ message: "Password is incorrect" });
+    }
+
+    if (!(await verifySecondFactor(client, user.rows[0], { code, recoveryCode }))) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ message: "Invalid authentication code" });
+    }
+
+    await client.query(
+      `UPDATE users
+       SET totp_secret = NULL,
+           totp_pending_secret = NULL,
+           totp_enabled_at = NULL,
+           totp_last_used_step = NULL
+       WHERE id = $1`,
+      [userId]
+    );
+    await client.query("DELETE FROM totp_recovery_codes WHERE user_id = $1", [userId]);
+    await recordSecurityEvent(client, userId, "2fa_disabled", req);
+
+    await client.query("COMMIT");
+
+    res.json({ message: "Two-factor authentication disabled" });
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("Error disabling 2FA:", error);
+    res.status(500).json({ message: "Error disabling two-factor authentication" });
+  } finally {
+    client.release();
+  }
+});
+
 // Delete account
-router.delete("/account", authenticateToken, async (req, res) => {
+router.delete("/account", authenticateToken, requireUserSession, async (req, res) => {
   const client = await pool.connect();
   try {
     await client.query("BEGIN");
@@ -170,6 +629,9 @@ router.delete("/account", authenticateToken, async (req, res) => {
     await client.query("DELETE FROM food_logs WHERE user_id = $1", [userId]);
     await client.query("DELETE FROM workout_logs WHERE user_id = $1", [userId]);
     await client.query("DELETE FROM daily_goals WHERE user_id = $1", [userId]);
+    await client.query("DELETE FROM nutrition_goals WHERE user_id = $1", [userId]);
+    await client.query("DELETE FROM water_logs WHERE user_id = $1", [userId]);
+    await client.query("DELETE FROM fasting_windows WHERE user_id = $1", [userId]);
     await client.query("DELETE FROM user_preferences WHERE user_id = $1", [
       userId,
     ]);
@@ -204,6 +666,9 @@ router.get("/stats", authenticateToken, async (req, res) => {
 async function calculateUserStats(userId) {
   const client = await pool.connect();
   try {
+    // Days are bucketed in the user's timezone
+    const timezone = await getUserTimezone(client, userId);
+
     // Get total workouts
     const workoutResult = await client.query(
       "SELECT COUNT(*) FROM workout_logs WHERE user_id = $1",
@@ -234,12 +699,12 @@ async function calculateUserStats(userId) {
     const caloriesResult = await client.query(
       `SELECT AVG(daily_calories) as avg_calories
        FROM (
-         SELECT date::date, SUM(calories) as daily_calories
+         SELECT (logged_at AT TIME ZONE $2)::date, SUM(calories) as daily_calories
          FROM food_logs
          WHERE user_id = $1
-         GROUP BY date::date
+         GROUP BY 1
        ) daily`,
-      [userId]
+      [userId, timezone]
     );
     const avgCalories = parseFloat(caloriesResult.rows[0]?.avg_calories || 0);
 
@@ -252,10 +717,10 @@ async function calculateUserStats(userId) {
          SUM(duration) as total_duration
        FROM workout_logs
        WHERE user_id = $1
-       AND date >= NOW() - INTERVAL '6 months'
+       AND date >= (NOW() AT TIME ZONE $2)::date - INTERVAL '6 months'
        GROUP BY EXTRACT(MONTH FROM date)
        ORDER BY month DESC`,
-      [userId]
+      [userId, timezone]
     );
 
     // Get most common exercises
@@ -303,18 +768,31 @@ router.get("/profile", authenticateToken, async (req, res) => {
       `SELECT 
         u.username,
         u.email,
+        u.email_verified,
+        u.pending_email,
         u.name,
         json_build_object(
           'theme', COALESCE(up.theme, 'light'),
           'units', COALESCE(up.units, 'metric'),
           'notifications', COALESCE(up.notifications, false),
           'workout_reminder', up.workout_reminder,
-          'nutrition_reminder', up.nutrition_reminder
-        ) as preferences
+          'nutrition_reminder', up.nutrition_reminder,
+          'dietary_restrictions', COALESCE(up.dietary_restrictions, '{}'),
+          'meal_slots', COALESCE(up.meal_slots, $2::jsonb),
+          'timezone', COALESCE(up.timezone, $3)
+        ) as preferences,
+        json_build_object(
+          'height_cm', up.height_cm,
+          'weight_kg', up.weight_kg,
+          'birth_date', to_char(up.birth_date, 'YYYY-MM-DD'),
+          'sex', up.sex,
+          'activity_level', up.activity_level,
+          'fitness_goal', up.fitness_goal
+        ) as body
       FROM users u
       LEFT JOIN user_preferences up ON u.id = up.user_id
       WHERE u.id = $1`,
-      [userId]
+      [userId, JSON.stringify(DEFAULT_MEAL_SLOTS), DEFAULT_TIMEZONE]
     );
 
     if (result.rows.length === 0) {
@@ -334,12 +812,47 @@ router.get("/profile", authenticateToken, async (req, res) => {
   }
 });
 
+// Notifications and reminders are delivered by email
+const requireVerifiedForNotifications = requireVerifiedEmail(
+  "notifications",
+  (req) => req.body.notifications || req.body.workout_reminder || req.body.nutrition_reminder
+);
+
 // Update user preferences
-router.put("/preferences", authenticateToken, async (req, res) => {
+router.put("/preferences", authenticateToken, requireVerifiedForNotifications, async (req, res) => {
   const client = await pool.connect();
   try {
     const userId = req.user.id;
-    const { theme, units, notifications, workout_reminder, nutrition_reminder } = req.body;
+    const {
+      theme,
+      units,
+      notifications,
+      workout_reminder,
+      nutrition_reminder,
+      dietary_restrictions,
+      meal_slots,
+      timezone
+    } = req.body;
+
+    if (dietary_restrictions !== undefined) {
+      const restrictionsError = validateRestrictions(dietary_restrictions);
+      if (restrictionsError) {
+        return res.status(400).json({ message: restrictionsError });
+      }
+    }
+
+    if (meal_slots !== undefined) {
+      const mealSlotsError = validateMealSlots(meal_slots);
+      if (mealSlotsError) {
+        return res.status(400).json({ message: mealSlotsError });
+      }
+    }
+    const mealSlots = meal_slots && meal_slots.map(slot => slot.trim());
+
+    const canonicalTimezone = timezone === undefined ? undefined : await findTimezone(client, timezone);
+    if (canonicalTimezone === null) {
+      return res.status(400).json({ message: "Timezone must be an IANA name such as Europe/Berlin" });
+    }
 
     await client.query(
       `INSERT INTO user_preferences (
@@ -349,9 +862,12 @@ router.put("/preferences", authenticateToken, async (req, res) => {
         notifications, 
         workout_reminder, 
         nutrition_reminder,
+        dietary_restrictions,
+        meal_slots,
+        timezone,
         updated_at
       ) 
-      VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
+      VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, '{}'::text[]), $8::jsonb, $9, CURRENT_TIMESTAMP)
       ON CONFLICT (user_id) 
       DO UPDATE SET 
         theme = EXCLUDED.theme,
@@ -359,6 +875,9 @@ router.put("/preferences", authenticateToken, async (req, res) => {
         notifications = EXCLUDED.notifications,
         workout_reminder = EXCLUDED.workout_reminder,
         nutrition_reminder = EXCLUDED.nutrition_reminder,
+        dietary_restrictions = COALESCE($7, user_preferences.dietary_restrictions),
+        meal_slots = COALESCE($8::jsonb, user_preferences.meal_slots),
+        timezone = COALESCE($9, user_preferences.timezone),
         updated_at = CURRENT_TIMESTAMP`,
       [
         userId, 
@@ -366,7 +885,10 @@ router.put("/preferences", authenticateToken, async (req, res) => {
         units || 'metric',
         notifications || false,
         workout_reminder,
-        nutrition_reminder
+        nutrition_reminder,
+        dietary_restrictions,
+        mealSlots ? JSON.stringify(mealSlots) : null,
+        canonicalTimezone
       ]
     );
 
@@ -377,7 +899,10 @@ router.put("/preferences", authenticateToken, async (req, res) => {
         units,
         notifications,
         workout_reminder,
-        nutrition_reminder
+        nutrition_reminder,
+        dietary_restrictions,
+        meal_slots: mealSlots,
+        timezone: canonicalTimezone
       }
     });
 
@@ -393,14 +918,32 @@ router.put("/preferences", authenticateToken, async (req, res) => {
 });
 
 // Update user profile
-router.put("/profile", authenticateToken, async (req, res) => {
+router.put("/profile", authenticateToken, requireUserSession, async (req, res) => {
   const client = await pool.connect();
   try {
     const userId = req.user.id;
     const { email, name } = req.body;
 
+    const bodyError = validateBodyProfile(req.body);
+    if (bodyError) {
+      return res.status(400).json({ message: bodyError });
+    }
+
+    const current = await client.query(
+      "SELECT id, username, email FROM users WHERE id = $1",
+      [userId]
+    );
+
+    if (current.rows.length === 0) {
+      return res.status(404).json({ 
+        message: "User not found" 
+      });
+    }
+
+    const emailChanged = email && email !== current.rows[0].email;
+
     // Validate email format if provided
-    if (email) {
+    if (emailChanged) {
       const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
       if (!emailRegex.test(email)) {
         return res.status(400).json({ 
@@ -410,7 +953,7 @@ router.put("/profile", authenticateToken, async (req, res) => {
 
       // Check if email is already taken by another user
       const emailCheck = await client.query(
-        "SELECT id FROM users WHERE email = $1 AND id != $2",
+        "SELECT id FROM users WHERE LOWER(email) = LOWER($1) AND id != $2",
         [email, userId]
       );
 
@@ -421,30 +964,48 @@ router.put("/profile", authenticateToken, async (req, res) => {
       }
     }
 
-    // Update user profile
+    await client.query("BEGIN");
+
+    // A new email only replaces the current one once it is confirmed
     const result = await client.query(
       `UPDATE users 
        SET 
-         email = COALESCE($1, email),
+         pending_email = COALESCE($1, pending_email),
          name = COALESCE($2, name),
          updated_at = CURRENT_TIMESTAMP
        WHERE id = $3
-       RETURNING username, email, name`,
-      [email, name, userId]
+       RETURNING username, email, email_verified, pending_email, name`,
+      [emailChanged ? email : null, name, userId]
     );
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ 
-        message: "User not found" 
-      });
+    if (emailChanged) {
+      await sendVerificationEmail(client, current.rows[0], email);
     }
 
+    // Body data used for nutrition recommendations
+    const body = await client.query(
+      `INSERT INTO user_preferences (user_id, ${BODY_FIELDS.join(", ")})
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (user_id)
+       DO UPDATE SET
+         ${BODY_FIELDS.map(field => `${field} = COALESCE(EXCLUDED.${field}, user_preferences.${field})`).join(",\n         ")},
+         updated_at = CURRENT_TIMESTAMP
+       RETURNING height_cm, weight_kg, to_char(birth_date, 'YYYY-MM-DD') AS birth_date,
+                 sex, activity_level, fitness_goal`,
+      [userId, ...BODY_FIELDS.map(field => req.body[field])]
+    );
+
+    await client.query("COMMIT");
+
     res.json({
-      message: "Profile updated successfully",
-      user: result.rows[0]
+      message: emailChanged
+        ? "Profile updated. Check your new email address to confirm the change."
+        : "Profile updated successfully",
+      user: { ...result.rows[0], body: body.rows[0] }
     });
 
   } catch (error) {
+    await client.query("ROLLBACK");
     console.error("Error updating user profile:", error);
     res.status(500).json({ 
       message: "Error updating profile",
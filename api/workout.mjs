@@ -2,7 +2,8 @@ import express from "express";
 import { pool } from "../config/database.mjs";
 import { authenticateToken } from "../middleware/auth.mjs";
 import fetch from "node-fetch";
-import { validateDateRange } from '../middleware/validation.mjs';
+import { validateDateRange, isValidDateString } from '../middleware/validation.mjs';
+import { getUserTimezone, toLocalParts } from '../services/timezones.mjs';
 
 const router = express.Router();
 
@@ -307,6 +308,11 @@ router.post("/log", authenticateToken, async (req, res) => {
       }))
     });
 
+    // A full timestamp is logged on its date in the user's timezone
+    const workoutDate = isValidDateString(date)
+      ? date
+      : (await toLocalParts(client, new Date(date), await getUserTimezone(client, userId))).date;
+
     await client.query('BEGIN');
 
     // Insert workout log
@@ -319,7 +325,7 @@ router.post("/log", authenticateToken, async (req, res) => {
         notes
       ) VALUES ($1, $2, $3, $4, $5) 
       RETURNING id`,
-      [userId, name, date, duration, notes]
+      [userId, name, workoutDate, duration, notes]
     );
 
     const workoutId = workoutResult.rows[0].id;
@@ -384,7 +390,7 @@ router.get("/history", authenticateToken, async (req, res) => {
       `SELECT 
         wl.id,
         wl.name,
-        wl.date,
+        to_char(wl.date, 'YYYY-MM-DD') AS date,
         wl.duration,
         wl.notes,
         json_agg(
@@ -426,7 +432,7 @@ router.get("/logs", authenticateToken, validateDateRange, async (req, res) => {
     let query = `
       SELECT 
         wl.id,
-        wl.date,
+        to_char(wl.date, 'YYYY-MM-DD') AS date,
         wl.duration,
         wl.calories,
         wl.notes,
@@ -13,6 +13,25 @@ const pool = new Pool({
   },
 });
 
+// Run a one-off data migration unless it ran before, recording it in
+// schema_migrations in the same transaction
+async function runOnce(client, name, sql) {
+  await client.query("BEGIN");
+  try {
+    const result = await client.query(
+      "INSERT INTO schema_migrations (name) VALUES ($1) ON CONFLICT (name) DO NOTHING RETURNING name",
+      [name]
+    );
+    if (result.rows.length > 0) {
+      await client.query(sql);
+    }
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  }
+}
+
 // Initialize database schema
 async function initDatabase() {
   const client = await pool.connect();
@@ -90,7 +109,7 @@ async function initDatabase() {
         created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
       );
 
-      -- Daily nutrition goals table
+      -- Daily nutrition goals table (superseded by nutrition_goals)
       CREATE TABLE IF NOT EXISTS daily_goals (
         user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
         calorie_goal INTEGER NOT NULL,
@@ -101,6 +120,54 @@ async function initDatabase() {
         updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
       );
 
+      -- Dated nutrition goals with training/rest/weekday variants; rows with
+      -- active = false end a variant
+      CREATE TABLE IF NOT EXISTS nutrition_goals (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        day_type VARCHAR(20) NOT NULL DEFAULT 'default',
+        effective_from DATE NOT NULL,
+        active BOOLEAN NOT NULL DEFAULT true,
+        calorie_goal INTEGER,
+        protein_goal INTEGER,
+        carbs_goal INTEGER,
+        fats_goal INTEGER,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (user_id, day_type, effective_from)
+      );
+
+      -- Optional per-user targets for nutrients in services/nutrients.mjs
+      CREATE TABLE IF NOT EXISTS micronutrient_targets (
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        nutrient VARCHAR(50) NOT NULL,
+        amount DECIMAL(10,2) NOT NULL,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, nutrient)
+      );
+
+      -- Water and other beverages, stored in millilitres
+      CREATE TABLE IF NOT EXISTS water_logs (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        amount_ml DECIMAL(8,2) NOT NULL,
+        beverage VARCHAR(50) NOT NULL DEFAULT 'water',
+        logged_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Intermittent fasts; ended_at is NULL while a fast runs
+      CREATE TABLE IF NOT EXISTS fasting_windows (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        protocol VARCHAR(20) NOT NULL,
+        target_hours DECIMAL(4,1) NOT NULL,
+        started_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        ended_at TIMESTAMP WITH TIME ZONE,
+        end_reason VARCHAR(20),
+        broken_by_log_id INTEGER REFERENCES food_logs(id) ON DELETE SET NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+
       -- Meal templates table
       CREATE TABLE IF NOT EXISTS meal_templates (
         id SERIAL PRIMARY KEY,
@@ -110,12 +177,293 @@ async function initDatabase() {
         created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
       );
+
+      -- Local foods catalog backing nutrition search
+      CREATE TABLE IF NOT EXISTS foods (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        brand VARCHAR(255),
+        serving_qty DECIMAL(8,2) NOT NULL DEFAULT 1,
+        serving_unit VARCHAR(50) NOT NULL DEFAULT 'serving',
+        serving_weight_grams DECIMAL(8,2),
+        calories DECIMAL(8,2) NOT NULL DEFAULT 0,
+        protein DECIMAL(8,2) NOT NULL DEFAULT 0,
+        carbs DECIMAL(8,2) NOT NULL DEFAULT 0,
+        fats DECIMAL(8,2) NOT NULL DEFAULT 0,
+        category VARCHAR(50),
+        diet_tags TEXT[] NOT NULL DEFAULT '{}',
+        allergens TEXT[] NOT NULL DEFAULT '{}',
+        barcode VARCHAR(14),
+        source VARCHAR(20) NOT NULL DEFAULT 'local',
+        status VARCHAR(20) NOT NULL DEFAULT 'approved',
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        times_logged INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- User recipes; totals are recomputed from the ingredients
+      CREATE TABLE IF NOT EXISTS recipes (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(255) NOT NULL,
+        description TEXT,
+        servings DECIMAL(8,2) NOT NULL DEFAULT 1,
+        yield_qty DECIMAL(8,2),
+        yield_unit VARCHAR(50),
+        total_calories DECIMAL(10,2) NOT NULL DEFAULT 0,
+        total_protein DECIMAL(10,2) NOT NULL DEFAULT 0,
+        total_carbs DECIMAL(10,2) NOT NULL DEFAULT 0,
+        total_fats DECIMAL(10,2) NOT NULL DEFAULT 0,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS recipe_ingredients (
+        id SERIAL PRIMARY KEY,
+        recipe_id INTEGER REFERENCES recipes(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL DEFAULT 0,
+        food_id INTEGER REFERENCES foods(id) ON DELETE SET NULL,
+        name VARCHAR(255) NOT NULL,
+        quantity DECIMAL(8,2) NOT NULL DEFAULT 1,
+        unit VARCHAR(50),
+        serving_size VARCHAR(100),
+        calories DECIMAL(10,2) NOT NULL DEFAULT 0,
+        protein DECIMAL(10,2) NOT NULL DEFAULT 0,
+        carbs DECIMAL(10,2) NOT NULL DEFAULT 0,
+        fats DECIMAL(10,2) NOT NULL DEFAULT 0
+      );
+
+      -- Login sessions, one per device/login
+      CREATE TABLE IF NOT EXISTS sessions (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        user_agent TEXT,
+        ip_address VARCHAR(45),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        revoked_at TIMESTAMP WITH TIME ZONE
+      );
+
+      -- Refresh tokens table (only hashes are stored)
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        token_hash CHAR(64) UNIQUE NOT NULL,
+        family_id UUID NOT NULL,
+        session_id INTEGER REFERENCES sessions(id) ON DELETE CASCADE,
+        replaced_by INTEGER REFERENCES refresh_tokens(id) ON DELETE SET NULL,
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        revoked_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Password reset tokens (only hashes are stored)
+      CREATE TABLE IF NOT EXISTS password_reset_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        token_hash CHAR(64) UNIQUE NOT NULL,
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        used_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Email verification tokens, for signup and pending email changes
+      CREATE TABLE IF NOT EXISTS email_verification_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        email VARCHAR(255) NOT NULL,
+        token_hash CHAR(64) UNIQUE NOT NULL,
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        used_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Login attempts, for per-account and per-IP throttling
+      CREATE TABLE IF NOT EXISTS login_attempts (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        identifier VARCHAR(255) NOT NULL,
+        ip_address VARCHAR(45),
+        success BOOLEAN NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Security events shown to users (lockouts, password resets, ...)
+      CREATE TABLE IF NOT EXISTS security_events (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        event_type VARCHAR(50) NOT NULL,
+        ip_address VARCHAR(45),
+        user_agent TEXT,
+        details JSONB DEFAULT '{}',
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Hashed one-time recovery codes for TOTP two-factor authentication
+      CREATE TABLE IF NOT EXISTS totp_recovery_codes (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        code_hash CHAR(64) NOT NULL,
+        used_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Personal API keys (only hashes are stored)
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        prefix VARCHAR(16) NOT NULL,
+        key_hash CHAR(64) UNIQUE NOT NULL,
+        scopes TEXT[] NOT NULL DEFAULT '{}',
+        expires_at TIMESTAMP WITH TIME ZONE,
+        last_used_at TIMESTAMP WITH TIME ZONE,
+        revoked_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Revoked access tokens, kept until they expire
+      CREATE TABLE IF NOT EXISTS revoked_tokens (
+        jti UUID PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Cached responses from external nutrition providers
+      CREATE TABLE IF NOT EXISTS provider_cache (
+        cache_key TEXT PRIMARY KEY,
+        provider VARCHAR(50) NOT NULL,
+        payload JSONB NOT NULL,
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Daily external provider calls, overall ('global') and per user ('user:<id>')
+      CREATE TABLE IF NOT EXISTS provider_usage (
+        provider VARCHAR(50) NOT NULL,
+        scope VARCHAR(50) NOT NULL,
+        day DATE NOT NULL,
+        calls INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (provider, scope, day)
+      );
+
+      -- One-off data migrations already applied (see runOnce)
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        name VARCHAR(100) PRIMARY KEY,
+        applied_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    // Add columns introduced after the initial schema
+    await client.query(`
+      ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS tokens_valid_after TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS email_verified BOOLEAN NOT NULL DEFAULT false,
+        ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS pending_email VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS failed_login_count INTEGER NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS last_failed_login_at TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64),
+        ADD COLUMN IF NOT EXISTS totp_pending_secret VARCHAR(64),
+        ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS totp_last_used_step BIGINT,
+        ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'user',
+        ADD COLUMN IF NOT EXISTS disabled_at TIMESTAMP WITH TIME ZONE;
+
+      ALTER TABLE refresh_tokens
+        ADD COLUMN IF NOT EXISTS session_id INTEGER REFERENCES sessions(id) ON DELETE CASCADE;
+
+      ALTER TABLE food_logs
+        ADD COLUMN IF NOT EXISTS food_id INTEGER REFERENCES foods(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS recipe_id INTEGER REFERENCES recipes(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS meal_slot VARCHAR(50),
+        ADD COLUMN IF NOT EXISTS batch_id UUID,
+        ADD COLUMN IF NOT EXISTS fiber DECIMAL(8,2),
+        ADD COLUMN IF NOT EXISTS sugar DECIMAL(8,2),
+        ADD COLUMN IF NOT EXISTS saturated_fat DECIMAL(8,2),
+        ADD COLUMN IF NOT EXISTS sodium DECIMAL(10,2),
+        ADD COLUMN IF NOT EXISTS potassium DECIMAL(10,2),
+        ADD COLUMN IF NOT EXISTS cholesterol DECIMAL(10,2),
+        ADD COLUMN IF NOT EXISTS micronutrients JSONB NOT NULL DEFAULT '{}';
+
+      ALTER TABLE foods
+        ADD COLUMN IF NOT EXISTS diet_tags TEXT[] NOT NULL DEFAULT '{}',
+        ADD COLUMN IF NOT EXISTS allergens TEXT[] NOT NULL DEFAULT '{}',
+        ADD COLUMN IF NOT EXISTS barcode VARCHAR(14),
+        ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'approved';
+
+      ALTER TABLE user_preferences
+        ADD COLUMN IF NOT EXISTS dietary_restrictions TEXT[] NOT NULL DEFAULT '{}',
+        ADD COLUMN IF NOT EXISTS meal_slots JSONB,
+        ADD COLUMN IF NOT EXISTS timezone VARCHAR(64),
+        ADD COLUMN IF NOT EXISTS height_cm DECIMAL(5,1),
+        ADD COLUMN IF NOT EXISTS weight_kg DECIMAL(5,1),
+        ADD COLUMN IF NOT EXISTS birth_date DATE,
+        ADD COLUMN IF NOT EXISTS sex VARCHAR(10),
+        ADD COLUMN IF NOT EXISTS activity_level VARCHAR(20),
+        ADD COLUMN IF NOT EXISTS fitness_goal VARCHAR(20),
+        ADD COLUMN IF NOT EXISTS water_goal_ml INTEGER;
     `);
 
+    // Macros used to be rounded to whole numbers. Changing a column's type
+    // rewrites the table under an exclusive lock, so only do it once.
+    const narrowMacros = await client.query(`
+      SELECT 1 FROM information_schema.columns
+      WHERE table_name = 'food_logs'
+      AND column_name IN ('calories', 'protein', 'carbs', 'fats')
+      AND (data_type <> 'numeric' OR numeric_precision < 8)
+    `);
+    if (narrowMacros.rows.length > 0) {
+      await client.query(`
+        ALTER TABLE food_logs
+          ALTER COLUMN calories TYPE DECIMAL(8,2),
+          ALTER COLUMN protein TYPE DECIMAL(8,2),
+          ALTER COLUMN carbs TYPE DECIMAL(8,2),
+          ALTER COLUMN fats TYPE DECIMAL(8,2)
+      `);
+    }
+
+    // Accounts created before email verification existed are treated as
+    // verified. Those that signed up since were sent a link for their
+    // current address and keep whatever state it left them in.
+    await runOnce(client, "backfill_email_verified", `
+      UPDATE users u
+      SET email_verified = true, email_verified_at = u.created_at
+      WHERE u.email_verified = false
+      AND NOT EXISTS (
+        SELECT 1 FROM email_verification_tokens t
+        WHERE t.user_id = u.id AND LOWER(t.email) = LOWER(u.email)
+      )
+    `);
+
+    // Login and password reset look accounts up by email regardless of
+    // case, so it must be unique that way. Existing duplicates have to be
+    // merged by hand first; until then the index is left out.
+    const duplicateEmails = await client.query(`
+      SELECT LOWER(email) FROM users
+      GROUP BY LOWER(email)
+      HAVING COUNT(*) > 1
+    `);
+    if (duplicateEmails.rows.length === 0) {
+      await client.query(
+        "CREATE UNIQUE INDEX IF NOT EXISTS idx_users_email_lower ON users (LOWER(email))"
+      );
+    } else {
+      console.warn(
+        `${duplicateEmails.rows.length} email(s) are registered more than once ignoring case; ` +
+        "skipping idx_users_email_lower"
+      );
+    }
+
     // Create indexes
     await client.query(`
       CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
       CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
+      CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
       CREATE INDEX IF NOT EXISTS idx_user_preferences_user_id ON user_preferences(user_id);
       CREATE INDEX IF NOT EXISTS idx_workout_logs_user_id ON workout_logs(user_id);
       CREATE INDEX IF NOT EXISTS idx_workout_logs_date ON workout_logs(date);
@@ -124,7 +472,41 @@ async function initDatabase() {
       CREATE INDEX IF NOT EXISTS idx_exercises_body_part ON exercises(body_part);
       CREATE INDEX IF NOT EXISTS idx_food_logs_user_id ON food_logs(user_id);
       CREATE INDEX IF NOT EXISTS idx_food_logs_logged_at ON food_logs(logged_at);
+      CREATE INDEX IF NOT EXISTS idx_food_logs_batch_id ON food_logs(batch_id) WHERE batch_id IS NOT NULL;
+      CREATE INDEX IF NOT EXISTS idx_water_logs_user_logged_at ON water_logs(user_id, logged_at);
+      CREATE INDEX IF NOT EXISTS idx_fasting_windows_user_started_at ON fasting_windows(user_id, started_at);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_fasting_windows_active ON fasting_windows(user_id) WHERE ended_at IS NULL;
       CREATE INDEX IF NOT EXISTS idx_meal_templates_user_id ON meal_templates(user_id);
+      CREATE INDEX IF NOT EXISTS idx_foods_search ON foods USING gin(to_tsvector('simple', name || ' ' || COALESCE(brand, '')));
+      CREATE INDEX IF NOT EXISTS idx_foods_times_logged ON foods(times_logged DESC);
+      CREATE INDEX IF NOT EXISTS idx_foods_created_by ON foods(created_by);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_foods_barcode ON foods(barcode) WHERE status <> 'rejected';
+      CREATE INDEX IF NOT EXISTS idx_foods_status ON foods(status) WHERE status = 'pending';
+      CREATE INDEX IF NOT EXISTS idx_recipes_user_id ON recipes(user_id);
+      CREATE INDEX IF NOT EXISTS idx_recipe_ingredients_recipe_id ON recipe_ingredients(recipe_id, position);
+      CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id);
+      CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens(family_id);
+      CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session_id ON refresh_tokens(session_id);
+      CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+      CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user_id ON password_reset_tokens(user_id);
+      CREATE INDEX IF NOT EXISTS idx_email_verification_tokens_user_id ON email_verification_tokens(user_id);
+      CREATE INDEX IF NOT EXISTS idx_login_attempts_ip_created ON login_attempts(ip_address, created_at);
+      CREATE INDEX IF NOT EXISTS idx_security_events_user_id ON security_events(user_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_totp_recovery_codes_user_id ON totp_recovery_codes(user_id);
+      CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys(user_id);
+      CREATE INDEX IF NOT EXISTS idx_revoked_tokens_expires_at ON revoked_tokens(expires_at);
+      CREATE INDEX IF NOT EXISTS idx_provider_cache_expires_at ON provider_cache(expires_at);
+    `);
+
+    // Carry over goals set before goal history existed
+    await client.query(`
+      INSERT INTO nutrition_goals (user_id, day_type, effective_from, calorie_goal, protein_goal, carbs_goal, fats_goal)
+      SELECT dg.user_id, 'default', COALESCE(dg.created_at::date, CURRENT_DATE),
+             dg.calorie_goal, dg.protein_goal, dg.carbs_goal, dg.fats_goal
+      FROM daily_goals dg
+      WHERE NOT EXISTS (
+        SELECT 1 FROM nutrition_goals ng WHERE ng.user_id = dg.user_id
+      );
     `);
 
     // Add default exercises
@@ -139,6 +521,61 @@ async function initDatabase() {
       ON CONFLICT (name) DO NOTHING;
     `);
 
+    // Add common foods so search works without the external API. Seeded
+    // foods that predate diet tags get them filled in.
+    await client.query(`
+      WITH seed AS (
+        SELECT name, serving_qty, serving_unit, serving_weight_grams, calories,
+               protein, carbs, fats, category, diet_tags::text[], allergens::text[]
+        FROM (
+          VALUES
+            ('Egg', 1, 'large', 50, 72, 6.3, 0.4, 4.8, 'eggs', '{vegetarian}', '{eggs}'),
+            ('Egg White', 1, 'large', 33, 17, 3.6, 0.2, 0.1, 'eggs', '{vegetarian}', '{eggs}'),
+            ('Chicken Breast', 100, 'g', 100, 165, 31, 0, 3.6, 'meat', '{}', '{}'),
+            ('Ground Beef 90% Lean', 100, 'g', 100, 176, 20, 0, 10, 'meat', '{}', '{}'),
+            ('Salmon', 100, 'g', 100, 208, 20, 0, 13, 'fish', '{}', '{fish}'),
+            ('Tuna, Canned in Water', 100, 'g', 100, 116, 26, 0, 0.8, 'fish', '{}', '{fish}'),
+            ('Shrimp', 100, 'g', 100, 99, 24, 0.2, 0.3, 'shellfish', '{}', '{shellfish}'),
+            ('White Rice, Cooked', 1, 'cup', 158, 205, 4.3, 45, 0.4, 'grains', '{vegetarian,vegan}', '{}'),
+            ('Brown Rice, Cooked', 1, 'cup', 195, 218, 4.5, 46, 1.6, 'grains', '{vegetarian,vegan}', '{}'),
+            ('Oats, Rolled', 0.5, 'cup', 40, 150, 5, 27, 3, 'grains', '{vegetarian,vegan}', '{gluten}'),
+            ('Whole Wheat Bread', 1, 'slice', 32, 81, 4, 14, 1.1, 'grains', '{vegetarian,vegan}', '{gluten}'),
+            ('Pasta, Cooked', 1, 'cup', 140, 221, 8.1, 43, 1.3, 'grains', '{vegetarian,vegan}', '{gluten}'),
+            ('Banana', 1, 'medium', 118, 105, 1.3, 27, 0.4, 'fruit', '{vegetarian,vegan}', '{}'),
+            ('Apple', 1, 'medium', 182, 95, 0.5, 25, 0.3, 'fruit', '{vegetarian,vegan}', '{}'),
+            ('Blueberries', 1, 'cup', 148, 84, 1.1, 21, 0.5, 'fruit', '{vegetarian,vegan}', '{}'),
+            ('Broccoli', 1, 'cup', 91, 31, 2.5, 6, 0.3, 'vegetables', '{vegetarian,vegan}', '{}'),
+            ('Spinach', 1, 'cup', 30, 7, 0.9, 1.1, 0.1, 'vegetables', '{vegetarian,vegan}', '{}'),
+            ('Sweet Potato, Baked', 1, 'medium', 114, 103, 2.3, 24, 0.2, 'vegetables', '{vegetarian,vegan}', '{}'),
+            ('Avocado', 0.5, 'fruit', 100, 160, 2, 8.5, 14.7, 'fruit', '{vegetarian,vegan}', '{}'),
+            ('Milk, 2%', 1, 'cup', 244, 122, 8.1, 12, 4.8, 'dairy', '{vegetarian}', '{dairy}'),
+            ('Greek Yogurt, Plain Nonfat', 170, 'g', 170, 100, 17, 6, 0.7, 'dairy', '{vegetarian}', '{dairy}'),
+            ('Cheddar Cheese', 1, 'oz', 28, 114, 7, 0.4, 9.4, 'dairy', '{vegetarian}', '{dairy}'),
+            ('Almonds', 1, 'oz', 28, 164, 6, 6.1, 14.2, 'nuts', '{vegetarian,vegan}', '{nuts}'),
+            ('Peanut Butter', 2, 'tbsp', 32, 188, 8, 6, 16, 'nuts', '{vegetarian,vegan}', '{peanuts}'),
+            ('Olive Oil', 1, 'tbsp', 13.5, 119, 0, 0, 13.5, 'oils', '{vegetarian,vegan}', '{}'),
+            ('Tofu, Firm', 100, 'g', 100, 144, 17, 2.8, 8.7, 'legumes', '{vegetarian,vegan}', '{soy}'),
+            ('Black Beans, Cooked', 1, 'cup', 172, 227, 15, 41, 0.9, 'legumes', '{vegetarian,vegan}', '{}'),
+            ('Lentils, Cooked', 1, 'cup', 198, 230, 18, 40, 0.8, 'legumes', '{vegetarian,vegan}', '{}'),
+            ('Whey Protein Powder', 1, 'scoop', 30, 120, 24, 3, 1.5, 'supplements', '{vegetarian}', '{dairy}')
+        ) AS v(name, serving_qty, serving_unit, serving_weight_grams, calories, protein, carbs, fats, category, diet_tags, allergens)
+      ),
+      tagged AS (
+        UPDATE foods f
+        SET diet_tags = seed.diet_tags, allergens = seed.allergens
+        FROM seed
+        WHERE f.source = 'local'
+        AND f.name = seed.name
+        AND f.diet_tags = '{}'
+        AND f.allergens = '{}'
+      )
+      INSERT INTO foods (name, serving_qty, serving_unit, serving_weight_grams, calories, protein, carbs, fats, category, diet_tags, allergens)
+      SELECT * FROM seed
+      WHERE NOT EXISTS (
+        SELECT 1 FROM foods f WHERE f.source = 'local' AND f.name = seed.name
+      );
+    `);
+
     console.log('Database schema initialized successfully');
   } catch (error) {
     console.error('Error initializing database schema:', error);
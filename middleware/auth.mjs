@@ -1,5 +1,9 @@
 import jwt from "jsonwebtoken";
+import { pool } from "../config/database.mjs";
+import { isEmailVerified } from "../services/emailVerification.mjs";
+import { isApiKey, findApiKey, requiredScope } from "../services/apiKeys.mjs";
 
+// Accepts either a JWT access token or a personal API key as a Bearer token
 export function authenticateToken(req, res, next) {
   const authHeader = req.headers["authorization"];
   const token = authHeader && authHeader.split(" ")[1];
@@ -8,11 +12,155 @@ export function authenticateToken(req, res, next) {
     return res.status(401).json({ message: "Authentication required" });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
+  if (isApiKey(token)) {
+    return authenticateApiKey(req, res, next, token);
+  }
+
+  jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
+    // Purpose-bound tokens (e.g. 2FA challenges) are not access tokens
+    if (err || user.purpose) {
       return res.status(403).json({ message: "Invalid or expired token" });
     }
-    req.user = user;
-    next();
+
+    try {
+      // Logged-out tokens stay valid cryptographically, so check the
+      // denylist, the session and the user's "log out everywhere" timestamp
+      const result = await pool.query(
+        `SELECT 
+           u.role,
+           u.disabled_at,
+           EXTRACT(EPOCH FROM u.tokens_valid_after) AS valid_after,
+           EXISTS (SELECT 1 FROM revoked_tokens WHERE jti = $2) AS revoked,
+           EXISTS (
+             SELECT 1 FROM sessions
+             WHERE id = $3 AND revoked_at IS NOT NULL
+           ) AS session_revoked
+         FROM users u
+         WHERE u.id = $1`,
+        [user.id, user.jti, user.sid ?? null]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(401).json({ message: "User no longer exists" });
+      }
+
+      const { role, disabled_at, valid_after, revoked, session_revoked } = result.rows[0];
+      if (
+        revoked ||
+        session_revoked ||
+        (valid_after && user.iat < parseFloat(valid_after))
+      ) {
+        return res.status(401).json({ message: "Token has been revoked" });
+      }
+
+      if (disabled_at) {
+        return res.status(403).json({ message: "This account has been disabled" });
+      }
+
+      if (user.sid) {
+        // Throttled so every request does not write
+        await pool.query(
+          `UPDATE sessions
+           SET last_seen_at = CURRENT_TIMESTAMP, ip_address = $2
+           WHERE id = $1 AND last_seen_at < NOW() - INTERVAL '1 minute'`,
+          [user.sid, req.ip]
+        );
+      }
+
+      // The role in the token may be stale; the database is authoritative
+      req.user = { ...user, role };
+      next();
+    } catch (error) {
+      console.error("Error checking token revocation:", error);
+      res.status(500).json({ message: "Server error" });
+    }
   });
 }
+
+async function authenticateApiKey(req, res, next, token) {
+  try {
+    const apiKey = await findApiKey(pool, token);
+
+    if (!apiKey || (apiKey.expires_at && new Date(apiKey.expires_at) <= new Date())) {
+      return res.status(401).json({ message: "Invalid or expired API key" });
+    }
+
+    if (apiKey.disabled_at) {
+      return res.status(403).json({ message: "This account has been disabled" });
+    }
+
+    // Scopes are enforced here so every router is covered
+    const scope = requiredScope(req);
+    if (!scope || !apiKey.scopes.includes(scope)) {
+      return res.status(403).json({
+        message: scope
+          ? `API key is missing the required scope: ${scope}`
+          : "This endpoint cannot be used with an API key"
+      });
+    }
+
+    // Throttled so every request does not write
+    await pool.query(
+      `UPDATE api_keys
+       SET last_used_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '1 minute')`,
+      [apiKey.id]
+    );
+
+    req.user = {
+      id: apiKey.user_id,
+      username: apiKey.username,
+      role: apiKey.role,
+      apiKeyId: apiKey.id,
+      scopes: apiKey.scopes
+    };
+    next();
+  } catch (error) {
+    console.error("Error checking API key:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+}
+
+// Reject API keys on account-security routes (password, 2FA, sessions,
+// key management, ...), which need an interactive login.
+// Must run after authenticateToken.
+export function requireUserSession(req, res, next) {
+  if (req.user.apiKeyId) {
+    return res.status(403).json({
+      message: "This endpoint cannot be used with an API key"
+    });
+  }
+  next();
+}
+
+// Restrict a route to users holding one of the given roles.
+// Must run after authenticateToken.
+export function authorizeRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({ message: "Insufficient permissions" });
+    }
+    next();
+  };
+}
+
+// Gate a feature that sends mail (reminders, notifications, ...) on a
+// confirmed address. `enables(req)` tells whether the request turns the
+// feature on; turning it off is always allowed.
+// Must run after authenticateToken.
+export function requireVerifiedEmail(feature, enables = () => true) {
+  return async (req, res, next) => {
+    try {
+      if (enables(req) && !(await isEmailVerified(pool, req.user.id))) {
+        return res.status(403).json({
+          message: `Please verify your email address to enable ${feature}`
+        });
+      }
+      next();
+    } catch (error) {
+      console.error("Error checking email verification:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  };
+}
@@ -14,13 +14,12 @@ export const validateDateRange = (req, res, next) => {
     delete req.query.endDate;
   }
 
-  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-
-  if (startDate && !dateRegex.test(startDate)) {
+  // Impossible dates such as 2024-02-30 would only fail later, in Postgres
+  if (startDate && !isValidDateString(startDate)) {
     return res.status(400).json({ message: "Invalid start date format" });
   }
 
-  if (endDate && !dateRegex.test(endDate)) {
+  if (endDate && !isValidDateString(endDate)) {
     return res.status(400).json({ message: "Invalid end date format" });
   }
 
@@ -29,4 +28,12 @@ export const validateDateRange = (req, res, next) => {
   }
 
   next();
-}; 
\ No newline at end of file
+}; 
+// True for real calendar dates in YYYY-MM-DD form
+export const isValidDateString = (value) => {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+};
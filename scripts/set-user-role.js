@@ -0,0 +1,33 @@
+import { pool } from '../config/database.mjs';
+
+// Usage: node scripts/set-user-role.js <username> <role>
+// Bootstraps the first admin, who can then manage roles through /api/admin.
+async function setUserRole() {
+  const [username, role] = process.argv.slice(2);
+
+  if (!username || !['user', 'admin'].includes(role)) {
+    console.error('Usage: node scripts/set-user-role.js <username> <user|admin>');
+    process.exit(1);
+  }
+
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      'UPDATE users SET role = $1, updated_at = CURRENT_TIMESTAMP WHERE username = $2 RETURNING id',
+      [role, username]
+    );
+
+    if (result.rows.length === 0) {
+      console.error(`User not found: ${username}`);
+    } else {
+      console.log(`Set role of ${username} to ${role}`);
+    }
+  } catch (error) {
+    console.error('Failed to set user role:', error);
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+setUserRole();
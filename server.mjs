@@ -9,6 +9,8 @@ import nutritionRoutes from "./api/nutrition.mjs";
 import workoutRoutes from "./api/workout.mjs";
 import userRoutes from "./api/user.mjs";
 import progressRoutes from "./api/progress.mjs";
+import adminRoutes from "./api/admin.mjs";
+import fastingRoutes from "./api/fasting.mjs";
 
 // Load environment variables from the root .env file
 const __filename = fileURLToPath(import.meta.url);
@@ -19,6 +21,11 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 const HOST = process.env.HOST || "0.0.0.0";
 
+// Behind a reverse proxy, this makes req.ip the client address
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Configure CORS
 const corsOptions = {
   origin: [
@@ -42,6 +49,8 @@ app.use("/api/nutrition", nutritionRoutes);
 app.use("/api/workout", workoutRoutes);
 app.use("/api/user", userRoutes);
 app.use("/api/progress", progressRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/fasting", fastingRoutes);
 
 
 app.use((req, res, next) => {
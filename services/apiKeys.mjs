@@ -0,0 +1,66 @@
+import crypto from "crypto";
+import { hashToken } from "./tokens.mjs";
+
+// Personal access tokens look like "fnk_<prefix>_<secret>". The prefix is
+// stored in clear so users can tell their keys apart; only the hash of the
+// whole key is stored.
+export const API_KEY_PREFIX = "fnk_";
+
+export const API_KEY_SCOPES = [
+  "workouts:read",
+  "workouts:write",
+  "nutrition:read",
+  "nutrition:write",
+  "progress:read",
+  "fasting:read",
+  "fasting:write",
+  "profile:read",
+  "profile:write",
+];
+
+// Scope resource required by each router, keyed by mount path. Routers not
+// listed here (auth, admin) cannot be used with an API key at all.
+const ROUTER_SCOPES = {
+  "/api/workout": "workouts",
+  "/api/nutrition": "nutrition",
+  "/api/progress": "progress",
+  "/api/fasting": "fasting",
+  "/api/user": "profile",
+};
+
+export function isApiKey(token) {
+  return token.startsWith(API_KEY_PREFIX);
+}
+
+export function generateApiKey() {
+  const prefix = crypto.randomBytes(4).toString("hex");
+  const secret = crypto.randomBytes(24).toString("base64url");
+  const key = `${API_KEY_PREFIX}${prefix}_${secret}`;
+
+  return { key, prefix, keyHash: hashToken(key) };
+}
+
+// The scope a request needs, e.g. "nutrition:write", or null if the router
+// is off limits for API keys
+export function requiredScope(req) {
+  const resource = ROUTER_SCOPES[req.baseUrl];
+  if (!resource) {
+    return null;
+  }
+
+  const action = ["GET", "HEAD"].includes(req.method) ? "read" : "write";
+  return `${resource}:${action}`;
+}
+
+export async function findApiKey(client, key) {
+  const result = await client.query(
+    `SELECT k.id, k.user_id, k.scopes, k.expires_at, k.last_used_at,
+            u.username, u.role, u.disabled_at
+     FROM api_keys k
+     JOIN users u ON u.id = k.user_id
+     WHERE k.key_hash = $1 AND k.revoked_at IS NULL`,
+    [hashToken(key)]
+  );
+
+  return result.rows[0] || null;
+}
@@ -0,0 +1,178 @@
+// Dietary restrictions users can set in their preferences, and how each one
+// is checked against a food. Catalog foods carry diet_tags (what the food
+// is) and allergens (what it contains); foods from elsewhere are checked by
+// keywords in their name, which is flagged as inferred.
+
+export const DIET_TAGS = ["vegetarian", "vegan"];
+
+export const ALLERGENS = [
+  "gluten",
+  "dairy",
+  "nuts",
+  "peanuts",
+  "shellfish",
+  "fish",
+  "eggs",
+  "soy",
+];
+
+// restriction -> { requiresTag } or { excludesAllergen }
+const RESTRICTIONS = {
+  vegetarian: { requiresTag: "vegetarian" },
+  vegan: { requiresTag: "vegan" },
+  "gluten-free": { excludesAllergen: "gluten" },
+  "dairy-free": { excludesAllergen: "dairy" },
+  "nut-free": { excludesAllergen: "nuts" },
+  "peanut-free": { excludesAllergen: "peanuts" },
+  "shellfish-free": { excludesAllergen: "shellfish" },
+  "fish-free": { excludesAllergen: "fish" },
+  "egg-free": { excludesAllergen: "eggs" },
+  "soy-free": { excludesAllergen: "soy" },
+};
+
+export const DIETARY_RESTRICTIONS = Object.keys(RESTRICTIONS);
+
+const MEAT_KEYWORDS = [
+  "chicken", "beef", "pork", "bacon", "ham", "turkey", "lamb", "steak",
+  "sausage", "pepperoni", "salami", "prosciutto", "veal", "duck", "venison",
+  "gelatin", "jerky", "meatball", "burger",
+];
+
+const ALLERGEN_KEYWORDS = {
+  gluten: ["bread", "wheat", "pasta", "spaghetti", "flour", "barley", "rye", "bagel", "pizza", "noodle", "couscous", "seitan", "cracker", "croissant", "muffin", "sandwich", "toast", "bun", "cake", "cookie", "biscuit", "pancake", "waffle", "beer"],
+  dairy: ["milk", "buttermilk", "cheese", "butter", "yogurt", "yoghurt", "cream", "whey", "casein", "latte", "cheddar", "mozzarella", "parmesan"],
+  nuts: ["almond", "walnut", "cashew", "pecan", "pistachio", "hazelnut", "macadamia", "nut"],
+  peanuts: ["peanut"],
+  shellfish: ["shrimp", "prawn", "crab", "lobster", "clam", "mussel", "oyster", "scallop"],
+  fish: ["fish", "salmon", "tuna", "cod", "tilapia", "anchovy", "sardine", "trout", "halibut"],
+  eggs: ["egg", "mayonnaise", "mayo", "omelet", "omelette"],
+  soy: ["soy", "tofu", "tempeh", "edamame", "miso"],
+};
+
+// Plant-based products named after what they replace. Each is reduced to
+// its source ingredient before the keywords are checked, so "almond milk"
+// still counts as nuts but not as dairy and "black bean burger" as no meat.
+const PLANT_BASED_PHRASES = [
+  [/\b(almond|oat|soy|rice|coconut|cashew|hemp|pea) milks?\b/gi, "$1"],
+  [/\b(peanut|almond|cashew|cocoa|nut|seed|sunflower) butters?\b/gi, "$1"],
+  [/\bcoconut (cream|yogh?urt)s?\b/gi, "coconut"],
+  [/\b(veggie|vegan|plant-based|bean|beyond|impossible|tofu|lentil|chickpea|mushroom) burgers?\b/gi, "$1"],
+];
+
+function withoutPlantBasedPhrases(name) {
+  return PLANT_BASED_PHRASES.reduce(
+    (result, [phrase, source]) => result.replace(phrase, source),
+    name
+  );
+}
+
+function mentions(name, keywords) {
+  return keywords.some((keyword) => new RegExp(`\\b${keyword}(e?s)?\\b`, "i").test(name));
+}
+
+// Guess tags and allergens for foods that do not come from the catalog
+function inferFoodAttributes(foodName) {
+  const name = withoutPlantBasedPhrases(foodName);
+  const allergens = Object.keys(ALLERGEN_KEYWORDS).filter((allergen) =>
+    mentions(name, ALLERGEN_KEYWORDS[allergen])
+  );
+  const hasMeat =
+    mentions(name, MEAT_KEYWORDS) ||
+    allergens.includes("fish") ||
+    allergens.includes("shellfish");
+
+  const dietTags = [];
+  if (!hasMeat) {
+    dietTags.push("vegetarian");
+    if (!allergens.includes("dairy") && !allergens.includes("eggs") && !/\bhoney\b/i.test(name)) {
+      dietTags.push("vegan");
+    }
+  }
+
+  return { dietTags, allergens };
+}
+
+export function validateRestrictions(restrictions) {
+  if (!Array.isArray(restrictions)) {
+    return "Dietary restrictions must be an array";
+  }
+
+  const invalid = restrictions.filter((r) => !DIETARY_RESTRICTIONS.includes(r));
+  if (invalid.length > 0) {
+    return `Unknown dietary restrictions: ${invalid.join(", ")}`;
+  }
+  return null;
+}
+
+export async function getUserRestrictions(client, userId) {
+  const result = await client.query(
+    "SELECT dietary_restrictions FROM user_preferences WHERE user_id = $1",
+    [userId]
+  );
+  return result.rows[0]?.dietary_restrictions || [];
+}
+
+// List the restrictions a food violates. `food` is a catalog row (with
+// diet_tags and allergens) or anything with a food_name/name.
+export function getDietaryWarnings(food, restrictions) {
+  if (!restrictions.length) {
+    return [];
+  }
+
+  const name = food.name || food.food_name || "";
+  // Untagged catalog foods are treated like external ones
+  const inferred =
+    !Array.isArray(food.diet_tags) ||
+    !Array.isArray(food.allergens) ||
+    (food.diet_tags.length === 0 && food.allergens.length === 0);
+  const { dietTags, allergens } = inferred
+    ? inferFoodAttributes(name)
+    : { dietTags: food.diet_tags, allergens: food.allergens };
+
+  const warnings = [];
+  for (const restriction of restrictions) {
+    const rule = RESTRICTIONS[restriction];
+    if (!rule) {
+      continue;
+    }
+
+    if (rule.requiresTag && !dietTags.includes(rule.requiresTag)) {
+      warnings.push({
+        restriction,
+        message: `${name} may not be ${rule.requiresTag}`,
+        inferred
+      });
+    }
+
+    if (rule.excludesAllergen && allergens.includes(rule.excludesAllergen)) {
+      warnings.push({
+        restriction,
+        message: `${name} contains ${rule.excludesAllergen}`,
+        inferred
+      });
+    }
+  }
+  return warnings;
+}
+
+// Append SQL conditions on the catalog alias `f` that exclude foods violating
+// `restrictions`, pushing the values onto `params`. Untagged foods are kept:
+// like getDietaryWarnings, callers judge them by name.
+export function applyDietaryRestrictions(query, restrictions, params) {
+  const untagged = "(cardinality(f.diet_tags) = 0 AND cardinality(f.allergens) = 0)";
+
+  return restrictions.reduce((sql, restriction) => {
+    const rule = RESTRICTIONS[restriction];
+    if (!rule) {
+      return sql;
+    }
+
+    if (rule.requiresTag) {
+      params.push(rule.requiresTag);
+      return `${sql} AND (${untagged} OR $${params.length} = ANY(f.diet_tags))`;
+    }
+
+    params.push(rule.excludesAllergen);
+    return `${sql} AND (${untagged} OR NOT ($${params.length} = ANY(f.allergens)))`;
+  }, query);
+}
@@ -0,0 +1,59 @@
+import { generateToken, hashToken } from "./tokens.mjs";
+import { sendMail, appUrl } from "./mailer.mjs";
+
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || "48");
+// Minimum wait between verification mails a user asks to resend
+const RESEND_COOLDOWN_MINUTES = parseInt(process.env.EMAIL_VERIFICATION_RESEND_MINUTES || "5");
+
+// Send a confirmation link for `email`, which is either the user's current
+// address or the pending address they are switching to
+export async function sendVerificationEmail(client, user, email) {
+  const verificationToken = generateToken();
+
+  // Older links stop working once a new one is sent
+  await client.query(
+    `UPDATE email_verification_tokens
+     SET used_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND used_at IS NULL`,
+    [user.id]
+  );
+
+  await client.query(
+    `INSERT INTO email_verification_tokens (user_id, email, token_hash, expires_at)
+     VALUES ($1, $2, $3, NOW() + make_interval(hours => $4))`,
+    [user.id, email, hashToken(verificationToken), EMAIL_VERIFICATION_TTL_HOURS]
+  );
+
+  await sendMail({
+    to: email,
+    subject: "Confirm your email address",
+    text:
+      `Hi ${user.username},\n\n` +
+      `Please confirm ${email} by opening the link below. ` +
+      `It expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.\n\n` +
+      `${appUrl("/verify-email", { token: verificationToken })}\n\n` +
+      `If you did not request this, you can ignore this email.`
+  });
+}
+
+// Seconds until the user may ask for another link: while their latest
+// unused link is younger than RESEND_COOLDOWN_MINUTES, 0 otherwise
+export async function getResendRetryAfter(client, userId) {
+  const result = await client.query(
+    `SELECT CEIL(EXTRACT(EPOCH FROM (
+       MAX(created_at) + make_interval(mins => $2) - NOW()
+     )))::int AS retry_after
+     FROM email_verification_tokens
+     WHERE user_id = $1 AND used_at IS NULL AND expires_at > NOW()`,
+    [userId, RESEND_COOLDOWN_MINUTES]
+  );
+  return Math.max(result.rows[0].retry_after || 0, 0);
+}
+
+export async function isEmailVerified(client, userId) {
+  const result = await client.query(
+    "SELECT email_verified FROM users WHERE id = $1",
+    [userId]
+  );
+  return result.rows[0]?.email_verified === true;
+}
@@ -0,0 +1,136 @@
+import { localToday } from "./timezones.mjs";
+
+// Intermittent fasting. A fast is a fasting_windows row that is open until
+// the user stops it or logs food with calories while it runs; either way it
+// counts as completed when it lasted at least its target.
+
+// Preset protocols: fasting hours out of each day
+export const FASTING_PROTOCOLS = {
+  "14:10": { targetHours: 14, label: "14 hours fasting, 10 hours eating" },
+  "16:8": { targetHours: 16, label: "16 hours fasting, 8 hours eating" },
+  "18:6": { targetHours: 18, label: "18 hours fasting, 6 hours eating" },
+  "20:4": { targetHours: 20, label: "20 hours fasting, 4 hours eating" },
+  omad: { targetHours: 23, label: "One meal a day" },
+};
+
+export const DEFAULT_PROTOCOL = "16:8";
+
+// Entries with at most this many calories (black coffee, tea, water) can be
+// logged without breaking a fast
+const FAST_BREAKING_CALORIES = parseFloat(process.env.FAST_BREAKING_CALORIES || "5");
+
+// Longest target a custom fast may have
+const MAX_TARGET_HOURS = 72;
+
+export const FAST_COLUMNS = `
+  id, protocol, target_hours, started_at, ended_at, end_reason, broken_by_log_id,
+  ROUND((EXTRACT(EPOCH FROM (COALESCE(ended_at, NOW()) - started_at)) / 3600)::numeric, 2) AS duration_hours`;
+
+// { protocol, targetHours } for a preset or a "custom" fast with its own
+// target_hours, or { error }
+export function resolveFastTarget(protocol = DEFAULT_PROTOCOL, targetHours) {
+  if (protocol === "custom") {
+    if (typeof targetHours !== "number" || targetHours <= 0 || targetHours > MAX_TARGET_HOURS) {
+      return { error: `target_hours must be between 0 and ${MAX_TARGET_HOURS} for a custom fast` };
+    }
+    return { protocol, targetHours };
+  }
+
+  const preset = FASTING_PROTOCOLS[protocol];
+  if (!preset) {
+    return {
+      error: `protocol must be one of: ${[...Object.keys(FASTING_PROTOCOLS), "custom"].join(", ")}`
+    };
+  }
+  if (targetHours !== undefined) {
+    return { error: "target_hours can only be set for a custom fast" };
+  }
+  return { protocol, targetHours: preset.targetHours };
+}
+
+// Shape a fasting_windows row (selected with FAST_COLUMNS) for responses
+export function formatFast(row) {
+  const duration = parseFloat(row.duration_hours);
+  const target = parseFloat(row.target_hours);
+  return {
+    id: row.id,
+    protocol: row.protocol,
+    target_hours: target,
+    started_at: row.started_at,
+    ended_at: row.ended_at,
+    end_reason: row.end_reason,
+    broken_by_log_id: row.broken_by_log_id,
+    active: row.ended_at === null,
+    duration_hours: duration,
+    remaining_hours: Math.max(Math.round((target - duration) * 100) / 100, 0),
+    percent: Math.round((duration / target) * 100),
+    completed: duration >= target,
+  };
+}
+
+export async function getActiveFast(client, userId) {
+  const result = await client.query(
+    `SELECT ${FAST_COLUMNS} FROM fasting_windows
+     WHERE user_id = $1 AND ended_at IS NULL`,
+    [userId]
+  );
+  return result.rows[0] ? formatFast(result.rows[0]) : null;
+}
+
+// End the user's active fast at `endedAt`. The reason is "completed" when the
+// target was reached, otherwise `reason`. Resolves to the fast, or null.
+export async function endActiveFast(client, userId, endedAt, { reason = "stopped", logId = null } = {}) {
+  const result = await client.query(
+    `UPDATE fasting_windows
+     SET ended_at = $2,
+         end_reason = CASE
+           WHEN $2::timestamptz - started_at >= target_hours * INTERVAL '1 hour' THEN 'completed'
+           ELSE $3
+         END,
+         broken_by_log_id = $4
+     WHERE user_id = $1 AND ended_at IS NULL AND started_at <= $2
+     RETURNING ${FAST_COLUMNS}`,
+    [userId, endedAt, reason, logId]
+  );
+  return result.rows[0] ? formatFast(result.rows[0]) : null;
+}
+
+// Food logged while a fast runs breaks it at the time of the entry. Entries
+// of at most FAST_BREAKING_CALORIES, dated before the fast started or planned for
+// later leave it alone. Resolves to the ended fast, or null.
+export async function breakFastForLog(client, userId, log) {
+  if (!(parseFloat(log.calories) > FAST_BREAKING_CALORIES) || new Date(log.logged_at) > new Date()) {
+    return null;
+  }
+  return endActiveFast(client, userId, log.logged_at, { reason: "food_logged", logId: log.id });
+}
+
+// Current and longest run of consecutive days, in `timezone`, that ended a
+// completed fast
+export async function getFastingStreaks(client, userId, timezone) {
+  const result = await client.query(
+    `SELECT DISTINCT to_char((ended_at AT TIME ZONE $2)::date, 'YYYY-MM-DD') AS date
+     FROM fasting_windows
+     WHERE user_id = $1 AND end_reason = 'completed'
+     ORDER BY date`,
+    [userId, timezone]
+  );
+  const today = await localToday(client, timezone);
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const dayNumber = (date) => Date.parse(`${date}T00:00:00Z`) / DAY_MS;
+
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  for (const { date } of result.rows) {
+    const day = dayNumber(date);
+    run = previous !== null && day === previous + 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = day;
+  }
+
+  // The current streak survives until a whole day passes without a fast
+  const current = previous !== null && dayNumber(today) - previous <= 1 ? run : 0;
+  return { current, longest };
+}
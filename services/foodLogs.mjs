@@ -0,0 +1,220 @@
+import { getFood, scaleFood, formatServing } from "./foods.mjs";
+import { toLogColumns, scaleNutrients, nutrientsFromNutritionix } from "./nutrients.mjs";
+import { breakFastForLog } from "./fasting.mjs";
+import { UNASSIGNED_SLOT } from "./mealSlots.mjs";
+
+// Writing food_logs rows. Every way of logging food (single entries,
+// templates, copies) goes through insertFoodLog so the columns stay in sync.
+
+async function incrementFoodUsage(foodId, client) {
+  try {
+    await client.query(
+      `UPDATE foods
+       SET times_logged = times_logged + 1,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [foodId]
+    );
+  } catch (error) {
+    console.error("Error updating food usage:", error);
+  }
+}
+
+// Insert one entry. `nutrients` uses the POST /log shape ({ calories,
+// protein, totalCarbs, totalFat, fiber, ... }, see services/nutrients.mjs).
+// `logged_at` defaults to now; see resolveLocalTime in
+// services/timezones.mjs for turning a user's date and time into one.
+// An entry that breaks the user's active fast comes back with `broken_fast`.
+export async function insertFoodLog(client, userId, {
+  food_id = null,
+  recipe_id = null,
+  meal_slot = null,
+  batch_id = null,
+  food_name,
+  serving_size,
+  nutrients,
+  logged_at = null,
+}) {
+  const { columns, micronutrients } = toLogColumns(nutrients);
+
+  const result = await client.query(
+    `INSERT INTO food_logs (
+      user_id,
+      food_id,
+      recipe_id,
+      meal_slot,
+      batch_id,
+      food_name,
+      serving_size,
+      calories,
+      protein,
+      carbs,
+      fats,
+      fiber,
+      sugar,
+      saturated_fat,
+      sodium,
+      potassium,
+      cholesterol,
+      micronutrients,
+      logged_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18,
+      COALESCE($19::timestamptz, CURRENT_TIMESTAMP))
+    RETURNING *`,
+    [
+      userId,
+      food_id,
+      recipe_id,
+      meal_slot,
+      batch_id,
+      food_name,
+      serving_size,
+      nutrients.calories || 0,
+      nutrients.protein || 0,
+      nutrients.totalCarbs || 0,
+      nutrients.totalFat || 0,
+      columns.fiber,
+      columns.sugar,
+      columns.saturated_fat,
+      columns.sodium,
+      columns.potassium,
+      columns.cholesterol,
+      JSON.stringify(micronutrients),
+      logged_at
+    ]
+  );
+
+  if (food_id) {
+    await incrementFoodUsage(food_id, client);
+  }
+
+  // Eating ends a running fast; the entry reports it
+  const brokenFast = await breakFastForLog(client, userId, result.rows[0]);
+  return brokenFast ? { ...result.rows[0], broken_fast: brokenFast } : result.rows[0];
+}
+
+// Overwrite an entry's food, nutrients, slot and time. Resolves to the
+// updated row, or null if the user has no such entry.
+export async function updateFoodLog(client, userId, logId, {
+  food_name,
+  serving_size,
+  nutrients,
+  meal_slot,
+  logged_at,
+}) {
+  const { columns, micronutrients } = toLogColumns(nutrients);
+
+  const result = await client.query(
+    `UPDATE food_logs
+     SET food_name = $1,
+         serving_size = $2,
+         calories = $3,
+         protein = $4,
+         carbs = $5,
+         fats = $6,
+         fiber = $7,
+         sugar = $8,
+         saturated_fat = $9,
+         sodium = $10,
+         potassium = $11,
+         cholesterol = $12,
+         micronutrients = $13,
+         meal_slot = $14,
+         logged_at = $15
+     WHERE id = $16 AND user_id = $17
+     RETURNING *`,
+    [
+      food_name,
+      serving_size,
+      nutrients.calories || 0,
+      nutrients.protein || 0,
+      nutrients.totalCarbs || 0,
+      nutrients.totalFat || 0,
+      columns.fiber,
+      columns.sugar,
+      columns.saturated_fat,
+      columns.sodium,
+      columns.potassium,
+      columns.cholesterol,
+      JSON.stringify(micronutrients),
+      meal_slot,
+      logged_at,
+      logId,
+      userId
+    ]
+  );
+
+  return result.rows[0] || null;
+}
+
+// Template foods saved with flat carbs/fats instead of totalCarbs/totalFat
+function templateNutrients(templateFood) {
+  const { carbs, fats, ...nutrients } = templateFood.nutrients || templateFood;
+  return {
+    ...nutrients,
+    totalCarbs: nutrients.totalCarbs ?? carbs,
+    totalFat: nutrients.totalFat ?? fats,
+  };
+}
+
+// Turn one food from a meal template into an insertFoodLog entry, scaled by
+// `multiplier`. Template foods are either catalog references ({ food_id,
+// servings }) or copies of a log entry ({ food_name, serving_size,
+// nutrients }, or with the macros at the top level). Resolves to null for
+// foods that cannot be logged.
+export async function expandTemplateFood(client, userId, templateFood, multiplier = 1) {
+  if (templateFood.food_id) {
+    const food = await getFood(client, templateFood.food_id, userId);
+    if (food) {
+      const servings = (parseFloat(templateFood.servings) || 1) * multiplier;
+      return {
+        food_id: food.id,
+        food_name: food.name,
+        serving_size: formatServing(food, servings),
+        nutrients: scaleFood(food, servings),
+      };
+    }
+    // Deleted from the catalog; fall back to the copy in the template
+  }
+
+  const foodName = templateFood.food_name || templateFood.name;
+  if (!foodName) {
+    return null;
+  }
+
+  const servingSize = templateFood.serving_size || "1 serving";
+  return {
+    food_name: foodName,
+    serving_size: multiplier === 1 ? servingSize : `${Number(multiplier.toFixed(2))} × ${servingSize}`,
+    nutrients: scaleNutrients(templateNutrients(templateFood), multiplier),
+  };
+}
+
+// A food from a nutrition provider (Nutritionix shape) as insertFoodLog
+// input. Only the local provider links entries to catalog foods.
+export function entryFromProviderFood(food) {
+  const qty = Number((food.serving_qty ?? 1).toFixed(2));
+  return {
+    food_id: food.food_id ?? null,
+    food_name: food.food_name,
+    serving_size: food.serving_unit ? `${qty} ${food.serving_unit}` : String(qty),
+    nutrients: nutrientsFromNutritionix(food),
+  };
+}
+
+// A day's entries in `timezone`, each with its local time of day. With
+// `mealSlot`, only that slot's entries (UNASSIGNED_SLOT for those without).
+export async function getDayLogs(client, userId, date, timezone, mealSlot = null) {
+  const result = await client.query(
+    `SELECT *, to_char(logged_at AT TIME ZONE $3, 'HH24:MI:SS') AS local_time
+     FROM food_logs
+     WHERE user_id = $1
+     AND (logged_at AT TIME ZONE $3)::date = $2
+     AND ($4::text IS NULL
+          OR ($4 = $5 AND meal_slot IS NULL)
+          OR LOWER(meal_slot) = LOWER($4))
+     ORDER BY logged_at`,
+    [userId, date, timezone, mealSlot, UNASSIGNED_SLOT]
+  );
+  return result.rows;
+}
@@ -0,0 +1,119 @@
+import { applyDietaryRestrictions } from "./dietary.mjs";
+
+// Local foods catalog. Foods created by users (source "user") are private to
+// their creator; everything else is shared. Barcode submissions from users
+// are shared while "pending" review; "rejected" ones are hidden from search.
+
+export const FOOD_COLUMNS = `
+  f.id, f.name, f.brand, f.serving_qty, f.serving_unit, f.serving_weight_grams,
+  f.calories, f.protein, f.carbs, f.fats, f.category, f.diet_tags, f.allergens,
+  f.barcode, f.source, f.status, f.times_logged, f.created_by, f.created_at, f.updated_at
+`;
+
+// Turn free text into a prefix tsquery, e.g. "chick bre" -> "chick:* & bre:*"
+function toPrefixTsQuery(text) {
+  const terms = String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return terms.map((term) => `${term}:*`).join(" & ");
+}
+
+// Full-text search ranked by relevance and how often the food is logged.
+// Foods violating `excludeRestrictions` are left out.
+export async function searchLocalFoods(client, query, userId, limit = 20, excludeRestrictions = []) {
+  const tsQuery = toPrefixTsQuery(query);
+  if (!tsQuery) {
+    return [];
+  }
+
+  const params = [tsQuery, userId, String(query).trim(), limit];
+  const filters = applyDietaryRestrictions(
+    `WHERE to_tsvector('simple', f.name || ' ' || COALESCE(f.brand, '')) @@ to_tsquery('simple', $1)
+     AND (f.source <> 'user' OR f.created_by = $2)
+     AND f.status <> 'rejected'`,
+    excludeRestrictions,
+    params
+  );
+
+  const result = await client.query(
+    `SELECT ${FOOD_COLUMNS}
+     FROM foods f
+     ${filters}
+     ORDER BY
+       LOWER(f.name) = LOWER($3) DESC,
+       ts_rank(to_tsvector('simple', f.name || ' ' || COALESCE(f.brand, '')), to_tsquery('simple', $1))
+         * (1 + LN(1 + f.times_logged)) DESC,
+       f.name
+     LIMIT $4`,
+    params
+  );
+
+  return result.rows;
+}
+
+export async function getFood(client, foodId, userId) {
+  const result = await client.query(
+    `SELECT ${FOOD_COLUMNS}
+     FROM foods f
+     WHERE f.id = $1
+     AND (f.source <> 'user' OR f.created_by = $2)`,
+    [foodId, userId]
+  );
+
+  return result.rows[0] || null;
+}
+
+// Normalize a UPC-A, EAN-8, EAN-13 or GTIN-14 code so the same
+// product always has the same key. 12-digit UPC-A codes are stored as their
+// EAN-13 form. Returns null when the code or its check digit is invalid.
+export function normalizeBarcode(code) {
+  let digits = String(code).replace(/[\s-]/g, "");
+  if (!/^(\d{8}|\d{12,14})$/.test(digits)) {
+    return null;
+  }
+
+  // GS1 check digit: weights 3,1,3,... from the right, excluding the check digit
+  const body = digits.slice(0, -1);
+  let sum = 0;
+  for (let i = 0; i < body.length; i++) {
+    const weight = (body.length - i) % 2 === 1 ? 3 : 1;
+    sum += Number(body[i]) * weight;
+  }
+  if ((10 - (sum % 10)) % 10 !== Number(digits.slice(-1))) {
+    return null;
+  }
+
+  if (digits.length === 12) {
+    digits = `0${digits}`;
+  } else if (digits.length === 14 && digits.startsWith("0")) {
+    digits = digits.slice(1);
+  }
+  return digits;
+}
+
+// The shared food with this (normalized) barcode, approved or pending
+export async function findFoodByBarcode(client, barcode) {
+  const result = await client.query(
+    `SELECT ${FOOD_COLUMNS}
+     FROM foods f
+     WHERE f.barcode = $1
+     AND f.status <> 'rejected'`,
+    [barcode]
+  );
+
+  return result.rows[0] || null;
+}
+
+// Nutrients for `servings` servings of a catalog food, in the shape
+// POST /log accepts
+export function scaleFood(food, servings = 1) {
+  return {
+    calories: parseFloat(food.calories) * servings,
+    protein: parseFloat(food.protein) * servings,
+    totalCarbs: parseFloat(food.carbs) * servings,
+    totalFat: parseFloat(food.fats) * servings,
+  };
+}
+
+export function formatServing(food, servings = 1) {
+  const qty = parseFloat(food.serving_qty) * servings;
+  return `${Number(qty.toFixed(2))} ${food.serving_unit}`;
+}
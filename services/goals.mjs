@@ -0,0 +1,132 @@
+// Dated nutrition goals. Every change adds a row to nutrition_goals with the
+// date it takes effect, so past days are judged against the goals in force
+// then. Besides the "default" goals a user can add variants for training
+// days, rest days or specific weekdays. For a given date the most specific
+// active variant wins: training/rest, then weekday, then default.
+
+// Used until the user sets their own goals
+export const DEFAULT_GOALS = {
+  calorie_goal: 2000,
+  protein_goal: 50,
+  carbs_goal: 250,
+  fats_goal: 70,
+};
+
+export const WEEKDAYS = [
+  "sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday",
+];
+
+export const GOAL_DAY_TYPES = ["default", "training", "rest", ...WEEKDAYS];
+
+export const GOAL_FIELDS = ["calorie_goal", "protein_goal", "carbs_goal", "fats_goal"];
+
+export function validateGoals(body) {
+  for (const field of GOAL_FIELDS) {
+    if (!Number.isInteger(body[field]) || body[field] <= 0) {
+      return "All goals are required and must be positive whole numbers";
+    }
+  }
+  return null;
+}
+
+// Every goal version of a user, oldest first
+export async function loadGoalSchedule(client, userId) {
+  const result = await client.query(
+    `SELECT id, day_type, to_char(effective_from, 'YYYY-MM-DD') AS effective_from,
+            active, calorie_goal, protein_goal, carbs_goal, fats_goal
+     FROM nutrition_goals
+     WHERE user_id = $1
+     ORDER BY effective_from, id`,
+    [userId]
+  );
+  return result.rows;
+}
+
+// Dates (YYYY-MM-DD) between startDate and endDate with a logged workout
+export async function getTrainingDays(client, userId, startDate, endDate) {
+  const result = await client.query(
+    `SELECT DISTINCT to_char(date, 'YYYY-MM-DD') AS date
+     FROM workout_logs
+     WHERE user_id = $1 AND date BETWEEN $2 AND $3`,
+    [userId, startDate, endDate]
+  );
+  return new Set(result.rows.map((row) => row.date));
+}
+
+// The goal version of `dayType` in force on `date`, if it is active
+function versionOn(schedule, dayType, date) {
+  let current = null;
+  for (const version of schedule) {
+    if (version.day_type === dayType && version.effective_from <= date) {
+      current = version;
+    }
+  }
+  return current?.active ? current : null;
+}
+
+// Goals for `date` (YYYY-MM-DD) from a loaded schedule
+export function resolveGoals(schedule, date, isTrainingDay) {
+  const weekday = WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+  const version =
+    versionOn(schedule, isTrainingDay ? "training" : "rest", date) ||
+    versionOn(schedule, weekday, date) ||
+    versionOn(schedule, "default", date);
+
+  if (!version) {
+    return { ...DEFAULT_GOALS, day_type: "default", effective_from: null, training_day: isTrainingDay };
+  }
+
+  return {
+    calorie_goal: version.calorie_goal,
+    protein_goal: version.protein_goal,
+    carbs_goal: version.carbs_goal,
+    fats_goal: version.fats_goal,
+    day_type: version.day_type,
+    effective_from: version.effective_from,
+    training_day: isTrainingDay,
+  };
+}
+
+export async function getGoalsForDate(client, userId, date) {
+  const schedule = await loadGoalSchedule(client, userId);
+  const trainingDays = await getTrainingDays(client, userId, date, date);
+  return resolveGoals(schedule, date, trainingDays.has(date));
+}
+
+// Add a goal version. Setting goals twice for the same day type and date
+// replaces the earlier ones.
+export async function saveGoals(client, userId, goals, { dayType = "default", effectiveFrom }) {
+  const result = await client.query(
+    `INSERT INTO nutrition_goals
+       (user_id, day_type, effective_from, active, calorie_goal, protein_goal, carbs_goal, fats_goal)
+     VALUES ($1, $2, $3, true, $4, $5, $6, $7)
+     ON CONFLICT (user_id, day_type, effective_from)
+     DO UPDATE SET
+       active = true,
+       calorie_goal = EXCLUDED.calorie_goal,
+       protein_goal = EXCLUDED.protein_goal,
+       carbs_goal = EXCLUDED.carbs_goal,
+       fats_goal = EXCLUDED.fats_goal,
+       created_at = CURRENT_TIMESTAMP
+     RETURNING id, day_type, to_char(effective_from, 'YYYY-MM-DD') AS effective_from,
+               active, calorie_goal, protein_goal, carbs_goal, fats_goal`,
+    [
+      userId, dayType, effectiveFrom,
+      goals.calorie_goal, goals.protein_goal, goals.carbs_goal, goals.fats_goal
+    ]
+  );
+  return result.rows[0];
+}
+
+// Stop using a variant from `effectiveFrom` on. Earlier days keep it.
+export async function endGoalVariant(client, userId, dayType, effectiveFrom) {
+  const result = await client.query(
+    `INSERT INTO nutrition_goals (user_id, day_type, effective_from, active)
+     VALUES ($1, $2, $3, false)
+     ON CONFLICT (user_id, day_type, effective_from)
+     DO UPDATE SET active = false, created_at = CURRENT_TIMESTAMP
+     RETURNING id, day_type, to_char(effective_from, 'YYYY-MM-DD') AS effective_from, active`,
+    [userId, dayType, effectiveFrom]
+  );
+  return result.rows[0];
+}
@@ -0,0 +1,141 @@
+import { sendMail, appUrl } from "./mailer.mjs";
+
+// Failed logins are tracked per account and per IP. Each account failure past
+// DELAY_AFTER_FAILURES doubles the wait before the next attempt; reaching
+// LOCKOUT_AFTER_FAILURES locks the account until it expires or the password
+// is reset, and starts the count over.
+const DELAY_AFTER_FAILURES = 3;
+const MAX_DELAY_SECONDS = 60;
+const LOCKOUT_AFTER_FAILURES = parseInt(process.env.LOGIN_LOCKOUT_AFTER_FAILURES || "10");
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || "30");
+const IP_WINDOW_MINUTES = 15;
+const IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES || "50");
+
+export async function recordSecurityEvent(client, userId, eventType, req, details = {}) {
+  await client.query(
+    `INSERT INTO security_events (user_id, event_type, ip_address, user_agent, details)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [userId, eventType, req.ip, req.get("user-agent") || null, JSON.stringify(details)]
+  );
+}
+
+// Seconds the client has to wait before trying again, or 0
+export async function getIpRetryAfter(client, ip) {
+  const result = await client.query(
+    `SELECT COUNT(*) AS failures, MIN(created_at) AS oldest
+     FROM login_attempts
+     WHERE ip_address = $1
+     AND success = false
+     AND created_at > NOW() - make_interval(mins => $2)`,
+    [ip, IP_WINDOW_MINUTES]
+  );
+
+  const { failures, oldest } = result.rows[0];
+  if (parseInt(failures) < IP_MAX_FAILURES) {
+    return 0;
+  }
+
+  const windowEnd = new Date(oldest).getTime() + IP_WINDOW_MINUTES * 60 * 1000;
+  return Math.max(1, Math.ceil((windowEnd - Date.now()) / 1000));
+}
+
+// Seconds the user has to wait because of earlier failures, or 0.
+// `user` needs failed_login_count and last_failed_login_at.
+export function getAccountRetryAfter(user) {
+  if (!user.last_failed_login_at || user.failed_login_count < DELAY_AFTER_FAILURES) {
+    return 0;
+  }
+
+  const delaySeconds = Math.min(
+    MAX_DELAY_SECONDS,
+    2 ** (user.failed_login_count - DELAY_AFTER_FAILURES)
+  );
+  const allowedAt = new Date(user.last_failed_login_at).getTime() + delaySeconds * 1000;
+
+  return Math.max(0, Math.ceil((allowedAt - Date.now()) / 1000));
+}
+
+export function isAccountLocked(user) {
+  return Boolean(user.locked_until && new Date(user.locked_until) > new Date());
+}
+
+export async function recordFailedLogin(client, req, identifier, user) {
+  await client.query(
+    `INSERT INTO login_attempts (user_id, identifier, ip_address, success)
+     VALUES ($1, $2, $3, false)`,
+    [user?.id || null, identifier, req.ip]
+  );
+
+  if (!user) {
+    return;
+  }
+
+  const result = await client.query(
+    `UPDATE users
+     SET failed_login_count = failed_login_count + 1,
+         last_failed_login_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING failed_login_count`,
+    [user.id]
+  );
+
+  const failedCount = result.rows[0].failed_login_count;
+  if (failedCount < LOCKOUT_AFTER_FAILURES) {
+    return;
+  }
+
+  // The count starts over so the account is not locked again by the first
+  // failure after this lock expires
+  await client.query(
+    `UPDATE users
+     SET locked_until = NOW() + make_interval(mins => $2),
+         failed_login_count = 0
+     WHERE id = $1`,
+    [user.id, LOCKOUT_MINUTES]
+  );
+
+  await recordSecurityEvent(client, user.id, "account_locked", req, {
+    failedAttempts: failedCount,
+    lockedMinutes: LOCKOUT_MINUTES
+  });
+
+  // Lockout notices only go to a confirmed address
+  if (user.email_verified) {
+    try {
+      await sendMail({
+        to: user.email,
+        subject: "Your account has been temporarily locked",
+        text:
+          `Hi ${user.username},\n\n` +
+          `We locked your account for ${LOCKOUT_MINUTES} minutes after ` +
+          `${failedCount} failed login attempts.\n\n` +
+          `If this was not you, reset your password to unlock your account now:\n\n` +
+          `${appUrl("/forgot-password")}`
+      });
+    } catch (mailError) {
+      console.error("Error sending lockout email:", mailError);
+    }
+  }
+}
+
+export async function recordSuccessfulLogin(client, req, identifier, user) {
+  await client.query(
+    `INSERT INTO login_attempts (user_id, identifier, ip_address, success)
+     VALUES ($1, $2, $3, true)`,
+    [user.id, identifier, req.ip]
+  );
+
+  await clearFailedLogins(client, user.id);
+}
+
+// Reset failure tracking, e.g. after a successful login or password reset
+export async function clearFailedLogins(client, userId) {
+  await client.query(
+    `UPDATE users
+     SET failed_login_count = 0,
+         last_failed_login_at = NULL,
+         locked_until = NULL
+     WHERE id = $1`,
+    [userId]
+  );
+}
@@ -0,0 +1,58 @@
+import fs from "fs/promises";
+import path from "path";
+
+// Mail transports are plain async functions receiving { to, subject, text }.
+// "console" and "file" are built in for development; production deployments
+// register their own (SMTP, SES, ...) with registerTransport(). Mail carries
+// live tokens, so production never falls back to the console by default.
+const transports = {
+  console: async (message) => {
+    console.log(
+      `[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`
+    );
+  },
+
+  file: async (message) => {
+    const outboxDir = path.resolve(process.env.MAIL_OUTBOX_DIR || "outbox");
+    await fs.mkdir(outboxDir, { recursive: true });
+
+    const fileName = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9@._-]/g, "_")}.json`;
+    await fs.writeFile(
+      path.join(outboxDir, fileName),
+      JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+    );
+  },
+};
+
+export function registerTransport(name, send) {
+  transports[name] = send;
+}
+
+export async function sendMail({ to, subject, text }) {
+  const transportName = process.env.MAIL_TRANSPORT ||
+    (process.env.NODE_ENV === "production" ? null : "console");
+  if (!transportName) {
+    throw new Error("MAIL_TRANSPORT must be set in production");
+  }
+
+  const transport = transports[transportName];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+
+  await transport({
+    from: process.env.MAIL_FROM || "no-reply@localhost",
+    to,
+    subject,
+    text,
+  });
+}
+
+// Build a link into the frontend, e.g. appUrl("/reset-password", { token })
+export function appUrl(pathname, params = {}) {
+  const url = new URL(pathname, process.env.APP_URL || "http://localhost:3000");
+  for (const [key, value] of Object.entries(params)) {
+    url.searchParams.set(key, value);
+  }
+  return url.toString();
+}
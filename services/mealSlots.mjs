@@ -0,0 +1,100 @@
+// Meal slots group a day's food logs. Users can rename and reorder them in
+// their preferences; until then everyone gets the defaults below.
+
+export const DEFAULT_MEAL_SLOTS = ["breakfast", "lunch", "dinner", "snack"];
+
+// Slot for entries logged without one
+export const UNASSIGNED_SLOT = "unassigned";
+
+const MAX_MEAL_SLOTS = 10;
+
+export function validateMealSlots(slots) {
+  if (!Array.isArray(slots) || slots.length === 0) {
+    return "Meal slots must be a non-empty array";
+  }
+  if (slots.length > MAX_MEAL_SLOTS) {
+    return `At most ${MAX_MEAL_SLOTS} meal slots are allowed`;
+  }
+  if (slots.some((slot) => typeof slot !== "string" || !slot.trim() || slot.trim().length > 50)) {
+    return "Meal slot names must be non-empty strings of up to 50 characters";
+  }
+
+  const names = slots.map((slot) => slot.trim().toLowerCase());
+  if (new Set(names).size !== names.length) {
+    return "Meal slot names must be unique";
+  }
+  if (names.includes(UNASSIGNED_SLOT)) {
+    return `"${UNASSIGNED_SLOT}" is reserved`;
+  }
+  return null;
+}
+
+export async function getMealSlots(client, userId) {
+  const result = await client.query(
+    "SELECT meal_slots FROM user_preferences WHERE user_id = $1",
+    [userId]
+  );
+  return result.rows[0]?.meal_slots || DEFAULT_MEAL_SLOTS;
+}
+
+// The user's own spelling of `slot`, or null if they have no such slot
+export function resolveMealSlot(slots, slot) {
+  if (typeof slot !== "string") {
+    return null;
+  }
+  const wanted = slot.trim().toLowerCase();
+  return slots.find((name) => name.toLowerCase() === wanted) || null;
+}
+
+// Check a requested slot against the user's slots. Resolves to { slot }
+// (null when none was requested) or { error }.
+export async function findMealSlot(client, userId, slot) {
+  if (slot === undefined || slot === null) {
+    return { slot: null };
+  }
+
+  const slots = await getMealSlots(client, userId);
+  const match = resolveMealSlot(slots, slot);
+  if (!match) {
+    return { error: `Unknown meal slot. Use one of: ${slots.join(", ")}` };
+  }
+  return { slot: match };
+}
+
+// Total macros of a list of food logs
+export function sumMacros(entries) {
+  const totals = { calories: 0, protein: 0, carbs: 0, fats: 0 };
+  for (const entry of entries) {
+    for (const macro of Object.keys(totals)) {
+      totals[macro] += parseFloat(entry[macro]) || 0;
+    }
+  }
+  for (const macro of Object.keys(totals)) {
+    totals[macro] = Math.round(totals[macro] * 100) / 100;
+  }
+  return totals;
+}
+
+// Group food logs by slot in the user's order, with subtotals per slot and
+// for the day. Entries in slots the user has since removed, or in none, are
+// listed after the configured ones.
+export function groupLogsBySlot(logs, slots) {
+  const groups = new Map(slots.map((slot) => [slot, []]));
+
+  for (const log of logs) {
+    const slot = log.meal_slot || UNASSIGNED_SLOT;
+    if (!groups.has(slot)) {
+      groups.set(slot, []);
+    }
+    groups.get(slot).push(log);
+  }
+
+  return {
+    meals: [...groups].map(([slot, entries]) => ({
+      slot,
+      entries,
+      totals: sumMacros(entries),
+    })),
+    totals: sumMacros(logs),
+  };
+}
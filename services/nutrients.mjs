@@ -0,0 +1,171 @@
+// Nutrients tracked beyond the four macros, with FDA reference daily values
+// for adults (null where there is none). The first group has its own
+// food_logs columns; the rest are kept in food_logs.micronutrients. `field`
+// is the name used in request bodies, next to calories/totalCarbs/totalFat.
+
+export const NUTRIENT_COLUMNS = [
+  { key: "fiber", field: "fiber", label: "Fiber", unit: "g", dailyValue: 28, nutritionix: "nf_dietary_fiber", attrId: 291 },
+  { key: "sugar", field: "sugar", label: "Sugar", unit: "g", dailyValue: null, nutritionix: "nf_sugars", attrId: 269 },
+  { key: "saturated_fat", field: "saturatedFat", label: "Saturated fat", unit: "g", dailyValue: 20, nutritionix: "nf_saturated_fat", attrId: 606 },
+  { key: "sodium", field: "sodium", label: "Sodium", unit: "mg", dailyValue: 2300, nutritionix: "nf_sodium", attrId: 307 },
+  { key: "potassium", field: "potassium", label: "Potassium", unit: "mg", dailyValue: 4700, nutritionix: "nf_potassium", attrId: 306 },
+  { key: "cholesterol", field: "cholesterol", label: "Cholesterol", unit: "mg", dailyValue: 300, nutritionix: "nf_cholesterol", attrId: 601 },
+];
+
+export const MICRONUTRIENTS = [
+  { key: "vitamin_a", field: "vitaminA", label: "Vitamin A", unit: "mcg", dailyValue: 900, attrId: 320 },
+  { key: "vitamin_c", field: "vitaminC", label: "Vitamin C", unit: "mg", dailyValue: 90, attrId: 401 },
+  { key: "vitamin_d", field: "vitaminD", label: "Vitamin D", unit: "mcg", dailyValue: 20, attrId: 328 },
+  { key: "vitamin_e", field: "vitaminE", label: "Vitamin E", unit: "mg", dailyValue: 15, attrId: 323 },
+  { key: "vitamin_k", field: "vitaminK", label: "Vitamin K", unit: "mcg", dailyValue: 120, attrId: 430 },
+  { key: "vitamin_b6", field: "vitaminB6", label: "Vitamin B6", unit: "mg", dailyValue: 1.7, attrId: 415 },
+  { key: "vitamin_b12", field: "vitaminB12", label: "Vitamin B12", unit: "mcg", dailyValue: 2.4, attrId: 418 },
+  { key: "folate", field: "folate", label: "Folate", unit: "mcg", dailyValue: 400, attrId: 435 },
+  { key: "calcium", field: "calcium", label: "Calcium", unit: "mg", dailyValue: 1300, attrId: 301 },
+  { key: "iron", field: "iron", label: "Iron", unit: "mg", dailyValue: 18, attrId: 303 },
+  { key: "magnesium", field: "magnesium", label: "Magnesium", unit: "mg", dailyValue: 420, attrId: 304 },
+  { key: "zinc", field: "zinc", label: "Zinc", unit: "mg", dailyValue: 11, attrId: 309 },
+];
+
+const ALL_NUTRIENTS = [...NUTRIENT_COLUMNS, ...MICRONUTRIENTS];
+
+export const NUTRIENT_KEYS = ALL_NUTRIENTS.map((nutrient) => nutrient.key);
+
+// Every field a `nutrients` object can have
+const NUTRIENT_FIELDS = [
+  "calories", "protein", "totalCarbs", "totalFat",
+  ...ALL_NUTRIENTS.map((nutrient) => nutrient.field),
+];
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Check the optional nutrient fields of a POST /log `nutrients` object
+export function validateNutrients(nutrients) {
+  for (const field of NUTRIENT_FIELDS) {
+    const value = nutrients[field];
+    if (value !== undefined && value !== null && (typeof value !== "number" || value < 0)) {
+      return `nutrients.${field} must be a non-negative number`;
+    }
+  }
+  return null;
+}
+
+// Split a `nutrients` object into food_logs column values and the
+// micronutrients JSONB
+export function toLogColumns(nutrients) {
+  const columns = {};
+  for (const nutrient of NUTRIENT_COLUMNS) {
+    const value = nutrients[nutrient.field];
+    columns[nutrient.key] = typeof value === "number" ? value : null;
+  }
+
+  const micronutrients = {};
+  for (const nutrient of MICRONUTRIENTS) {
+    const value = nutrients[nutrient.field];
+    if (typeof value === "number") {
+      micronutrients[nutrient.key] = value;
+    }
+  }
+
+  return { columns, micronutrients };
+}
+
+// The reverse of toLogColumns: the `nutrients` object of a food_logs row
+export function fromLogRow(log) {
+  const nutrients = {
+    calories: parseFloat(log.calories) || 0,
+    protein: parseFloat(log.protein) || 0,
+    totalCarbs: parseFloat(log.carbs) || 0,
+    totalFat: parseFloat(log.fats) || 0,
+  };
+
+  for (const nutrient of NUTRIENT_COLUMNS) {
+    if (log[nutrient.key] !== null && log[nutrient.key] !== undefined) {
+      nutrients[nutrient.field] = parseFloat(log[nutrient.key]);
+    }
+  }
+  for (const nutrient of MICRONUTRIENTS) {
+    const value = log.micronutrients?.[nutrient.key];
+    if (value !== undefined && value !== null) {
+      nutrients[nutrient.field] = parseFloat(value);
+    }
+  }
+  return nutrients;
+}
+
+// Multiply every nutrient in a `nutrients` object, dropping other fields
+export function scaleNutrients(nutrients, factor) {
+  const scaled = {};
+  for (const field of NUTRIENT_FIELDS) {
+    const value = parseFloat(nutrients[field]);
+    if (!isNaN(value)) {
+      scaled[field] = value * factor;
+    }
+  }
+  return scaled;
+}
+
+// A `nutrients` object from a Nutritionix food, including the vitamins and
+// minerals in its full_nutrients list
+export function nutrientsFromNutritionix(food) {
+  const nutrients = {
+    calories: food.nf_calories || 0,
+    protein: food.nf_protein || 0,
+    totalCarbs: food.nf_total_carbohydrate || 0,
+    totalFat: food.nf_total_fat || 0,
+  };
+
+  const byAttrId = new Map(
+    (food.full_nutrients || []).map((entry) => [entry.attr_id, entry.value])
+  );
+
+  for (const nutrient of ALL_NUTRIENTS) {
+    const value = (nutrient.nutritionix && food[nutrient.nutritionix]) ?? byAttrId.get(nutrient.attrId);
+    if (typeof value === "number") {
+      nutrients[nutrient.field] = round(value);
+    }
+  }
+  return nutrients;
+}
+
+export async function getMicronutrientTargets(client, userId) {
+  const result = await client.query(
+    "SELECT nutrient, amount FROM micronutrient_targets WHERE user_id = $1",
+    [userId]
+  );
+  return Object.fromEntries(result.rows.map((row) => [row.nutrient, parseFloat(row.amount)]));
+}
+
+// Totals of every tracked nutrient across `logs`, each with its reference
+// daily value and the user's own target when they set one
+export function nutrientReport(logs, targets = {}) {
+  return ALL_NUTRIENTS.map((nutrient) => {
+    const isColumn = NUTRIENT_COLUMNS.includes(nutrient);
+    let amount = 0;
+    let reported = false;
+
+    for (const log of logs) {
+      const value = isColumn ? log[nutrient.key] : log.micronutrients?.[nutrient.key];
+      if (value !== null && value !== undefined) {
+        amount += parseFloat(value) || 0;
+        reported = true;
+      }
+    }
+
+    const target = targets[nutrient.key] ?? null;
+    return {
+      key: nutrient.key,
+      label: nutrient.label,
+      unit: nutrient.unit,
+      amount: round(amount),
+      // False when no entry recorded this nutrient, so 0 means unknown
+      reported,
+      dailyValue: nutrient.dailyValue,
+      percentDailyValue: nutrient.dailyValue ? Math.round((amount / nutrient.dailyValue) * 100) : null,
+      target,
+      percentTarget: target ? Math.round((amount / target) * 100) : null,
+    };
+  });
+}
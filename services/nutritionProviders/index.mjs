@@ -0,0 +1,223 @@
+import { pool } from "../../config/database.mjs";
+import { createNutritionixProvider } from "./nutritionix.mjs";
+import { createLocalProvider } from "./local.mjs";
+import { createStubProvider } from "./stub.mjs";
+import { DEFAULT_TIMEZONE } from "../timezones.mjs";
+
+// Nutrition data goes through this module rather than calling providers
+// directly. It adds a persistent response cache, daily quota accounting and
+// a fallback to stale cache entries or the local catalog when the upstream
+// provider is down, out of quota or not configured.
+//
+// NUTRITION_PROVIDER picks the primary provider ("nutritionix", "local", or
+// "stub" for offline testing). Without it, Nutritionix is used when its keys
+// are set.
+
+// Cache lifetime per provider operation
+const CACHE_TTL_SECONDS = {
+  searchInstant: parseInt(process.env.NUTRITION_SEARCH_CACHE_TTL || String(24 * 60 * 60)),
+  naturalNutrients: parseInt(process.env.NUTRITION_NATURAL_CACHE_TTL || String(7 * 24 * 60 * 60)),
+  lookupBarcode: parseInt(process.env.NUTRITION_BARCODE_CACHE_TTL || String(30 * 24 * 60 * 60)),
+};
+
+const GLOBAL_DAILY_QUOTA = parseInt(process.env.NUTRITION_GLOBAL_DAILY_QUOTA || "1000");
+const USER_DAILY_QUOTA = parseInt(process.env.NUTRITION_USER_DAILY_QUOTA || "150");
+
+const providerFactories = {
+  nutritionix: createNutritionixProvider,
+  local: createLocalProvider,
+  stub: createStubProvider,
+};
+
+let primaryProvider = null;
+const localProvider = createLocalProvider();
+
+export function registerNutritionProvider(name, factory) {
+  providerFactories[name] = factory;
+}
+
+export function getNutritionProvider() {
+  if (!primaryProvider) {
+    const configured = process.env.NUTRITION_PROVIDER;
+    const name = configured || (
+      process.env.NUTRITIONIX_APP_ID && process.env.NUTRITIONIX_API_KEY ? "nutritionix" : "local"
+    );
+
+    if (!providerFactories[name]) {
+      throw new Error(`Unknown nutrition provider: ${name}`);
+    }
+    primaryProvider = providerFactories[name]();
+  }
+  return primaryProvider;
+}
+
+// Swap the primary provider, e.g. for a stub in tests
+export function setNutritionProvider(provider) {
+  primaryProvider = provider;
+}
+
+// Natural-language parsing reads times like "yesterday" in the user's
+// timezone, so its answers are cached per timezone
+function cacheKey(provider, operation, query, context) {
+  const normalized = String(query).trim().toLowerCase().replace(/\s+/g, " ");
+  if (operation === "naturalNutrients") {
+    return `${provider.name}:${operation}:${context.timezone || DEFAULT_TIMEZONE}:${normalized}`;
+  }
+  return `${provider.name}:${operation}:${normalized}`;
+}
+
+async function readCache(key) {
+  const result = await pool.query(
+    `SELECT payload, expires_at > NOW() AS fresh
+     FROM provider_cache
+     WHERE cache_key = $1`,
+    [key]
+  );
+  return result.rows[0] || null;
+}
+
+async function writeCache(key, providerName, payload, ttlSeconds) {
+  await pool.query(
+    `INSERT INTO provider_cache (cache_key, provider, payload, expires_at)
+     VALUES ($1, $2, $3, NOW() + $4 * INTERVAL '1 second')
+     ON CONFLICT (cache_key)
+     DO UPDATE SET
+       payload = EXCLUDED.payload,
+       expires_at = EXCLUDED.expires_at,
+       updated_at = CURRENT_TIMESTAMP`,
+    [key, providerName, JSON.stringify(payload), ttlSeconds]
+  );
+}
+
+// Count a call against the global and per-user quotas for today. Returns
+// false, without counting, if either quota is used up. Each count only goes
+// up while under its limit, so concurrent calls cannot overshoot it.
+async function reserveQuota(providerName, userId) {
+  const quotas = [["global", GLOBAL_DAILY_QUOTA]];
+  if (userId) {
+    quotas.push([`user:${userId}`, USER_DAILY_QUOTA]);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    for (const [scope, limit] of quotas) {
+      const result = await client.query(
+        `INSERT INTO provider_usage (provider, scope, day, calls)
+         SELECT $1, $2, CURRENT_DATE, 1 WHERE $3 > 0
+         ON CONFLICT (provider, scope, day)
+         DO UPDATE SET calls = provider_usage.calls + 1
+         WHERE provider_usage.calls < $3
+         RETURNING calls`,
+        [providerName, scope, limit]
+      );
+      if (result.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return false;
+      }
+    }
+
+    await client.query("COMMIT");
+    return true;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Run `operation` on the primary provider with caching and fallbacks.
+// Resolves to { data, provider, cached, fallback, attribution, warning? }.
+async function callProvider(operation, query, context) {
+  const provider = getNutritionProvider();
+
+  // Local results include users' private foods, so they are never cached
+  if (!provider.external) {
+    return {
+      data: await provider[operation](query, context),
+      provider: provider.name,
+      cached: false,
+      fallback: false,
+      attribution: provider.attribution,
+    };
+  }
+
+  const key = cacheKey(provider, operation, query, context);
+
+  const cached = await readCache(key);
+  if (cached?.fresh) {
+    return {
+      data: cached.payload,
+      provider: provider.name,
+      cached: true,
+      fallback: false,
+      attribution: provider.attribution,
+    };
+  }
+
+  let failure;
+  try {
+    if (!provider.isConfigured()) {
+      throw new Error(`${provider.name} provider is not configured`);
+    }
+    if (!(await reserveQuota(provider.name, context.userId))) {
+      throw new Error(`${provider.name} daily quota exceeded`);
+    }
+
+    const data = await provider[operation](query, context);
+    await writeCache(key, provider.name, data, CACHE_TTL_SECONDS[operation]);
+
+    return {
+      data,
+      provider: provider.name,
+      cached: false,
+      fallback: false,
+      attribution: provider.attribution,
+    };
+  } catch (error) {
+    // "No match" is an answer, not an outage
+    if (error.status === 404) {
+      throw error;
+    }
+    failure = error;
+    console.error(`Nutrition provider ${provider.name} failed:`, error.message);
+  }
+
+  if (cached) {
+    return {
+      data: cached.payload,
+      provider: provider.name,
+      cached: true,
+      fallback: true,
+      attribution: provider.attribution,
+      warning: `Showing cached data: ${failure.message}`,
+    };
+  }
+
+  const data = await localProvider[operation](query, context);
+  return {
+    data,
+    provider: localProvider.name,
+    cached: false,
+    fallback: true,
+    attribution: null,
+    warning: `Using local food data: ${failure.message}`,
+  };
+}
+
+// Instant search ({ common, branded }) for type-ahead
+export function searchFoods(query, { userId = null } = {}) {
+  return callProvider("searchInstant", query, { userId });
+}
+
+// Parse natural language into foods with full nutrients ({ foods })
+export function getNutrients(query, { userId = null, timezone } = {}) {
+  return callProvider("naturalNutrients", query, { userId, timezone });
+}
+
+// Packaged food by normalized barcode ({ foods })
+export function lookupBarcode(barcode, { userId = null } = {}) {
+  return callProvider("lookupBarcode", barcode, { userId });
+}
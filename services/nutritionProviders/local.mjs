@@ -0,0 +1,178 @@
+import { pool } from "../../config/database.mjs";
+import { searchLocalFoods, findFoodByBarcode } from "../foods.mjs";
+
+// Offline provider backed by the local foods catalog. It answers in the same
+// shape as Nutritionix so callers do not care which provider they got.
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5,
+  six: 6, seven: 7, eight: 8, nine: 9, ten: 10, half: 0.5, dozen: 12,
+};
+
+// Unit aliases -> canonical unit
+const UNITS = {
+  g: "g", gram: "g", grams: "g",
+  kg: "kg", kilogram: "kg", kilograms: "kg",
+  oz: "oz", ounce: "oz", ounces: "oz",
+  lb: "lb", lbs: "lb", pound: "lb", pounds: "lb",
+  ml: "ml", l: "l",
+  cup: "cup", cups: "cup",
+  tbsp: "tbsp", tablespoon: "tbsp", tablespoons: "tbsp",
+  tsp: "tsp", teaspoon: "tsp", teaspoons: "tsp",
+  slice: "slice", slices: "slice",
+  piece: "piece", pieces: "piece",
+  scoop: "scoop", scoops: "scoop",
+  serving: "serving", servings: "serving",
+  can: "can", cans: "can",
+  bowl: "bowl", bowls: "bowl",
+};
+
+const GRAMS_PER_UNIT = { g: 1, kg: 1000, oz: 28.35, lb: 453.6 };
+
+function parseQuantity(token) {
+  if (token in NUMBER_WORDS) {
+    return NUMBER_WORDS[token];
+  }
+  if (/^\d+\/\d+$/.test(token)) {
+    const [numerator, denominator] = token.split("/").map(Number);
+    return denominator ? numerator / denominator : null;
+  }
+  if (/^\d+(\.\d+)?$/.test(token)) {
+    return parseFloat(token);
+  }
+  return null;
+}
+
+// Split free text like "2 eggs, a slice of toast and 200g chicken" into
+// { quantity, unit, name } items
+export function parseMealText(text) {
+  return String(text)
+    .toLowerCase()
+    .split(/,|;|\band\b|\bwith\b|\bplus\b|\n/)
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      // "200g" -> "200 g"
+      const tokens = part.replace(/(\d)([a-z]+)/g, "$1 $2").split(/\s+/);
+
+      let quantity = parseQuantity(tokens[0]);
+      if (quantity === null) {
+        quantity = 1;
+      } else {
+        tokens.shift();
+      }
+
+      let unit = null;
+      if (tokens.length > 1 && UNITS[tokens[0]]) {
+        unit = UNITS[tokens.shift()];
+      }
+      if (tokens[0] === "of") {
+        tokens.shift();
+      }
+
+      return { text: part, quantity, unit, name: tokens.join(" ") };
+    })
+    .filter((item) => item.name);
+}
+
+function singular(unit) {
+  return UNITS[unit] || unit;
+}
+
+// How many catalog servings an item amounts to
+function servingsFor(item, food) {
+  const servingQty = parseFloat(food.serving_qty);
+  const servingGrams = parseFloat(food.serving_weight_grams);
+
+  if (item.unit && GRAMS_PER_UNIT[item.unit] && servingGrams) {
+    return (item.quantity * GRAMS_PER_UNIT[item.unit]) / servingGrams;
+  }
+  if (item.unit && item.unit === singular(food.serving_unit)) {
+    return item.quantity / servingQty;
+  }
+  // "2 eggs", "a banana": count of the food's own serving
+  return item.quantity;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function toNutritionixFood(food, servings) {
+  return {
+    food_name: food.name,
+    brand_name: food.brand,
+    food_id: food.id,
+    serving_qty: round(parseFloat(food.serving_qty) * servings),
+    serving_unit: food.serving_unit,
+    serving_weight_grams: food.serving_weight_grams
+      ? round(parseFloat(food.serving_weight_grams) * servings)
+      : null,
+    nf_calories: round(parseFloat(food.calories) * servings),
+    nf_total_fat: round(parseFloat(food.fats) * servings),
+    nf_total_carbohydrate: round(parseFloat(food.carbs) * servings),
+    nf_protein: round(parseFloat(food.protein) * servings),
+  };
+}
+
+export function createLocalProvider({ client = pool } = {}) {
+  return {
+    name: "local",
+    external: false,
+    attribution: null,
+
+    isConfigured() {
+      return true;
+    },
+
+    async searchInstant(query, { userId = null } = {}) {
+      const foods = await searchLocalFoods(client, query, userId);
+      return {
+        common: foods.map((food) => ({
+          food_name: food.name,
+          serving_unit: food.serving_unit,
+          serving_qty: parseFloat(food.serving_qty),
+          food_id: food.id,
+        })),
+        branded: [],
+      };
+    },
+
+    async lookupBarcode(barcode) {
+      const food = await findFoodByBarcode(client, barcode);
+      if (!food) {
+        const error = new Error("No food found for this barcode");
+        error.status = 404;
+        throw error;
+      }
+
+      return { foods: [toNutritionixFood(food, 1)] };
+    },
+
+    async naturalNutrients(query, { userId = null } = {}) {
+      const foods = [];
+      const unmatched = [];
+
+      for (const item of parseMealText(query)) {
+        const [food] = await searchLocalFoods(client, item.name, userId, 1);
+        if (!food) {
+          unmatched.push(item.text);
+          continue;
+        }
+
+        foods.push({
+          ...toNutritionixFood(food, servingsFor(item, food)),
+          tags: { item: item.name, quantity: item.quantity, measure: item.unit }
+        });
+      }
+
+      if (foods.length === 0) {
+        const error = new Error("We couldn't match any of your foods");
+        error.status = 404;
+        throw error;
+      }
+
+      return { foods, unmatched };
+    },
+  };
+}
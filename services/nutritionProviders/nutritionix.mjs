@@ -0,0 +1,79 @@
+import fetch from "node-fetch";
+import { DEFAULT_TIMEZONE } from "../timezones.mjs";
+
+const NUTRITIONIX_BASE_URL = "https://trackapi.nutritionix.com/v2";
+
+export const NUTRITIONIX_ATTRIBUTION = {
+  text: "Powered by Nutritionix",
+  image: "https://www.nutritionix.com/images/attribute_logo_white.png"
+};
+
+export function createNutritionixProvider({
+  appId = process.env.NUTRITIONIX_APP_ID,
+  apiKey = process.env.NUTRITIONIX_API_KEY,
+  timeoutMs = parseInt(process.env.NUTRITION_PROVIDER_TIMEOUT_MS || "5000"),
+} = {}) {
+  async function request(path, options = {}) {
+    if (!appId || !apiKey) {
+      throw new Error("Nutritionix API keys are not configured");
+    }
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+      const response = await fetch(`${NUTRITIONIX_BASE_URL}${path}`, {
+        ...options,
+        signal: controller.signal,
+        headers: {
+          "Content-Type": "application/json",
+          "x-app-id": appId,
+          "x-app-key": apiKey,
+          "x-remote-user-id": "0",  // Required by Nutritionix for tracking
+          ...options.headers
+        }
+      });
+
+      if (!response.ok) {
+        const error = new Error(`Nutritionix API error: ${response.status}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      return await response.json();
+    } catch (error) {
+      if (error.name === "AbortError") {
+        throw new Error(`Nutritionix API timed out after ${timeoutMs}ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  return {
+    name: "nutritionix",
+    external: true,
+    attribution: NUTRITIONIX_ATTRIBUTION,
+
+    isConfigured() {
+      return Boolean(appId && apiKey);
+    },
+
+    searchInstant(query) {
+      return request(`/search/instant?query=${encodeURIComponent(query)}`);
+    },
+
+    // Packaged food by UPC/EAN; Nutritionix answers 404 for unknown codes
+    lookupBarcode(barcode) {
+      return request(`/search/item?upc=${encodeURIComponent(barcode)}`);
+    },
+
+    naturalNutrients(query, { timezone = DEFAULT_TIMEZONE } = {}) {
+      return request("/natural/nutrients", {
+        method: "POST",
+        body: JSON.stringify({ query, timezone })
+      });
+    },
+  };
+}
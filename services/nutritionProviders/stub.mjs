@@ -0,0 +1,103 @@
+import { parseMealText } from "./local.mjs";
+
+// Fixed, offline provider for development and tests (NUTRITION_PROVIDER=stub).
+// It knows a handful of common foods, needs neither network nor database and
+// answers in the Nutritionix shape.
+
+// Per serving, as Nutritionix reports them
+export const STUB_FOODS = [
+  { food_name: "egg", serving_qty: 1, serving_unit: "large", serving_weight_grams: 50, nf_calories: 72, nf_protein: 6.3, nf_total_carbohydrate: 0.4, nf_total_fat: 4.8, nf_saturated_fat: 1.6, nf_cholesterol: 186, nf_sodium: 71, nf_potassium: 69 },
+  { food_name: "toast", serving_qty: 1, serving_unit: "slice", serving_weight_grams: 30, nf_calories: 79, nf_protein: 2.7, nf_total_carbohydrate: 14.7, nf_total_fat: 1, nf_dietary_fiber: 0.8, nf_sugars: 1.6, nf_sodium: 144 },
+  { food_name: "banana", serving_qty: 1, serving_unit: "medium", serving_weight_grams: 118, nf_calories: 105, nf_protein: 1.3, nf_total_carbohydrate: 27, nf_total_fat: 0.4, nf_dietary_fiber: 3.1, nf_sugars: 14.4, nf_potassium: 422 },
+  { food_name: "apple", serving_qty: 1, serving_unit: "medium", serving_weight_grams: 182, nf_calories: 95, nf_protein: 0.5, nf_total_carbohydrate: 25, nf_total_fat: 0.3, nf_dietary_fiber: 4.4, nf_sugars: 18.9, nf_potassium: 195 },
+  { food_name: "chicken breast", serving_qty: 100, serving_unit: "g", serving_weight_grams: 100, nf_calories: 165, nf_protein: 31, nf_total_carbohydrate: 0, nf_total_fat: 3.6, nf_saturated_fat: 1, nf_cholesterol: 85, nf_sodium: 74, nf_potassium: 256 },
+  { food_name: "rice", serving_qty: 1, serving_unit: "cup", serving_weight_grams: 158, nf_calories: 205, nf_protein: 4.3, nf_total_carbohydrate: 44.5, nf_total_fat: 0.4, nf_dietary_fiber: 0.6 },
+  { food_name: "oatmeal", serving_qty: 1, serving_unit: "cup", serving_weight_grams: 234, nf_calories: 166, nf_protein: 5.9, nf_total_carbohydrate: 28.1, nf_total_fat: 3.6, nf_dietary_fiber: 4, nf_sodium: 9 },
+  { food_name: "milk", serving_qty: 1, serving_unit: "cup", serving_weight_grams: 244, nf_calories: 122, nf_protein: 8.1, nf_total_carbohydrate: 11.7, nf_total_fat: 4.8, nf_saturated_fat: 3.1, nf_sugars: 12.3, nf_sodium: 115, nf_potassium: 390 },
+  { food_name: "coffee", serving_qty: 1, serving_unit: "cup", serving_weight_grams: 237, nf_calories: 2, nf_protein: 0.3, nf_total_carbohydrate: 0, nf_total_fat: 0, nf_potassium: 116 },
+];
+
+const GRAMS_PER_UNIT = { g: 1, kg: 1000, oz: 28.35, lb: 453.6 };
+
+const SCALED_FIELDS = ["serving_qty", "serving_weight_grams"];
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// "eggs" -> "egg", "slices of toast" -> "toast"
+function findStubFood(foods, name) {
+  return foods.find((food) =>
+    name === food.food_name ||
+    name === `${food.food_name}s` ||
+    name.endsWith(` ${food.food_name}`)
+  );
+}
+
+function scaleStubFood(food, item) {
+  const servings = item.unit && GRAMS_PER_UNIT[item.unit]
+    ? (item.quantity * GRAMS_PER_UNIT[item.unit]) / food.serving_weight_grams
+    : item.quantity;
+
+  const scaled = { ...food };
+  for (const [field, value] of Object.entries(food)) {
+    if (field.startsWith("nf_") || SCALED_FIELDS.includes(field)) {
+      scaled[field] = round(value * servings);
+    }
+  }
+  return scaled;
+}
+
+export function createStubProvider({ foods = STUB_FOODS } = {}) {
+  return {
+    name: "stub",
+    external: false,
+    attribution: null,
+
+    isConfigured() {
+      return true;
+    },
+
+    async searchInstant(query) {
+      const term = String(query).trim().toLowerCase();
+      return {
+        common: foods
+          .filter((food) => food.food_name.includes(term))
+          .map(({ food_name, serving_unit, serving_qty }) => ({ food_name, serving_unit, serving_qty })),
+        branded: [],
+      };
+    },
+
+    async lookupBarcode() {
+      const error = new Error("No food found for this barcode");
+      error.status = 404;
+      throw error;
+    },
+
+    async naturalNutrients(query) {
+      const matched = [];
+      const unmatched = [];
+
+      for (const item of parseMealText(query)) {
+        const food = findStubFood(foods, item.name);
+        if (!food) {
+          unmatched.push(item.text);
+          continue;
+        }
+
+        matched.push({
+          ...scaleStubFood(food, item),
+          tags: { item: item.name, quantity: item.quantity, measure: item.unit }
+        });
+      }
+
+      if (matched.length === 0) {
+        const error = new Error("We couldn't match any of your foods");
+        error.status = 404;
+        throw error;
+      }
+
+      return { foods: matched, unmatched };
+    },
+  };
+}
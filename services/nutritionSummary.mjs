@@ -0,0 +1,69 @@
+// Consumed vs. goal maths for the nutrition summary endpoints, so clients
+// do not have to combine /logs and /goals themselves.
+
+// Within this fraction of the goal counts as "met"
+const GOAL_TOLERANCE = 0.05;
+
+const KCAL_PER_GRAM = { protein: 4, carbs: 4, fats: 9 };
+
+// summary key -> goal field
+const GOAL_COLUMNS = {
+  calories: "calorie_goal",
+  protein: "protein_goal",
+  carbs: "carbs_goal",
+  fats: "fats_goal",
+};
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+export function compareToGoal(consumed, goal) {
+  const remaining = goal - consumed;
+  let status = "met";
+  if (consumed > goal * (1 + GOAL_TOLERANCE)) {
+    status = "over";
+  } else if (consumed < goal * (1 - GOAL_TOLERANCE)) {
+    status = "under";
+  }
+
+  return {
+    consumed: round(consumed),
+    goal,
+    remaining: round(remaining),
+    percent: goal > 0 ? Math.round((consumed / goal) * 100) : null,
+    status,
+    over: status === "over",
+    under: status === "under",
+  };
+}
+
+// Share of energy from each macro, in percent
+function macroSplit(totals) {
+  const energy = Object.fromEntries(
+    Object.entries(KCAL_PER_GRAM).map(([macro, kcal]) => [macro, totals[macro] * kcal])
+  );
+  const total = Object.values(energy).reduce((sum, value) => sum + value, 0);
+
+  return Object.fromEntries(
+    Object.entries(energy).map(([macro, value]) => [
+      macro,
+      total > 0 ? Math.round((value / total) * 100) : 0,
+    ])
+  );
+}
+
+// `totals` holds calories/protein/carbs/fats; `goals` has calorie_goal,
+// protein_goal, carbs_goal and fats_goal (see services/goals.mjs)
+export function summarizeDay(totals, goals) {
+  const summary = {};
+  for (const [key, column] of Object.entries(GOAL_COLUMNS)) {
+    summary[key] = compareToGoal(parseFloat(totals[key]) || 0, Number(goals[column]));
+  }
+  summary.macroSplit = macroSplit({
+    protein: parseFloat(totals.protein) || 0,
+    carbs: parseFloat(totals.carbs) || 0,
+    fats: parseFloat(totals.fats) || 0,
+  });
+  return summary;
+}
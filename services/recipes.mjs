@@ -0,0 +1,244 @@
+import { getFood, scaleFood, formatServing } from "./foods.mjs";
+import { getDietaryWarnings } from "./dietary.mjs";
+
+// User recipes. Each ingredient keeps its own copy of the nutrients it
+// contributes, and the recipe's totals are recomputed from them whenever the
+// ingredients change. Per-serving values are derived from the totals.
+
+const MACROS = ["calories", "protein", "carbs", "fats"];
+
+function isNonNegativeNumber(value) {
+  return typeof value === "number" && value >= 0;
+}
+
+export function validateRecipeBody(body, partial = false) {
+  const { name, servings, yield_qty, ingredients } = body;
+
+  if (!partial && (!name || !Array.isArray(ingredients))) {
+    return "Name and ingredients array are required";
+  }
+
+  if (name !== undefined && (typeof name !== "string" || !name.trim())) {
+    return "Name must be a non-empty string";
+  }
+
+  if (servings !== undefined && (typeof servings !== "number" || servings <= 0)) {
+    return "Servings must be a positive number";
+  }
+
+  if (yield_qty !== undefined && yield_qty !== null && (typeof yield_qty !== "number" || yield_qty <= 0)) {
+    return "yield_qty must be a positive number";
+  }
+
+  if (ingredients !== undefined) {
+    if (!Array.isArray(ingredients) || ingredients.length === 0) {
+      return "A recipe needs at least one ingredient";
+    }
+
+    for (const [index, ingredient] of ingredients.entries()) {
+      const label = `Ingredient ${index + 1}`;
+
+      if (ingredient.food_id !== undefined) {
+        if (!Number.isInteger(ingredient.food_id)) {
+          return `${label}: food_id must be an integer`;
+        }
+        if (ingredient.servings !== undefined &&
+            (typeof ingredient.servings !== "number" || ingredient.servings <= 0)) {
+          return `${label}: servings must be a positive number`;
+        }
+        continue;
+      }
+
+      if (typeof ingredient.name !== "string" || !ingredient.name.trim()) {
+        return `${label}: food_id or name is required`;
+      }
+      if (ingredient.quantity !== undefined &&
+          (typeof ingredient.quantity !== "number" || ingredient.quantity <= 0)) {
+        return `${label}: quantity must be a positive number`;
+      }
+      for (const macro of MACROS) {
+        if (ingredient[macro] !== undefined && !isNonNegativeNumber(ingredient[macro])) {
+          return `${label}: ${macro} must be a non-negative number`;
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+// Turn request ingredients into rows. Catalog ingredients ({ food_id,
+// servings }) take their name and nutrients from the food; others give them
+// directly. Resolves to { rows } or { error }.
+async function resolveIngredients(client, ingredients, userId) {
+  const rows = [];
+
+  for (const [index, ingredient] of ingredients.entries()) {
+    if (ingredient.food_id !== undefined) {
+      const food = await getFood(client, ingredient.food_id, userId);
+      if (!food) {
+        return { error: `Ingredient ${index + 1}: food not found` };
+      }
+
+      const servings = ingredient.servings ?? 1;
+      const nutrients = scaleFood(food, servings);
+      rows.push({
+        food_id: food.id,
+        name: food.name,
+        quantity: servings,
+        unit: "serving",
+        serving_size: formatServing(food, servings),
+        calories: nutrients.calories,
+        protein: nutrients.protein,
+        carbs: nutrients.totalCarbs,
+        fats: nutrients.totalFat,
+      });
+      continue;
+    }
+
+    rows.push({
+      food_id: null,
+      name: ingredient.name.trim(),
+      quantity: ingredient.quantity ?? 1,
+      unit: ingredient.unit || null,
+      serving_size: [ingredient.quantity ?? 1, ingredient.unit].filter(Boolean).join(" "),
+      calories: ingredient.calories ?? 0,
+      protein: ingredient.protein ?? 0,
+      carbs: ingredient.carbs ?? 0,
+      fats: ingredient.fats ?? 0,
+    });
+  }
+
+  return { rows };
+}
+
+// Replace a recipe's ingredients and recompute its totals. Resolves to an
+// error message for bad ingredients, otherwise null.
+export async function saveIngredients(client, recipeId, ingredients, userId) {
+  const { rows, error } = await resolveIngredients(client, ingredients, userId);
+  if (error) {
+    return error;
+  }
+
+  await client.query("DELETE FROM recipe_ingredients WHERE recipe_id = $1", [recipeId]);
+
+  for (const [position, row] of rows.entries()) {
+    await client.query(
+      `INSERT INTO recipe_ingredients (
+        recipe_id, position, food_id, name, quantity, unit, serving_size,
+        calories, protein, carbs, fats
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+      [
+        recipeId, position, row.food_id, row.name, row.quantity, row.unit, row.serving_size,
+        row.calories, row.protein, row.carbs, row.fats
+      ]
+    );
+  }
+
+  await recomputeRecipeTotals(client, recipeId);
+  return null;
+}
+
+export async function recomputeRecipeTotals(client, recipeId) {
+  await client.query(
+    `UPDATE recipes r
+     SET total_calories = totals.calories,
+         total_protein = totals.protein,
+         total_carbs = totals.carbs,
+         total_fats = totals.fats,
+         updated_at = CURRENT_TIMESTAMP
+     FROM (
+       SELECT
+         COALESCE(SUM(calories), 0) AS calories,
+         COALESCE(SUM(protein), 0) AS protein,
+         COALESCE(SUM(carbs), 0) AS carbs,
+         COALESCE(SUM(fats), 0) AS fats
+       FROM recipe_ingredients
+       WHERE recipe_id = $1
+     ) totals
+     WHERE r.id = $1`,
+    [recipeId]
+  );
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Shape a recipes row for responses, adding totals and per-serving macros
+export function formatRecipe(recipe, ingredients) {
+  const servings = parseFloat(recipe.servings);
+  const total = {
+    calories: parseFloat(recipe.total_calories),
+    protein: parseFloat(recipe.total_protein),
+    carbs: parseFloat(recipe.total_carbs),
+    fats: parseFloat(recipe.total_fats),
+  };
+
+  const formatted = {
+    id: recipe.id,
+    name: recipe.name,
+    description: recipe.description,
+    servings,
+    yield_qty: recipe.yield_qty === null ? null : parseFloat(recipe.yield_qty),
+    yield_unit: recipe.yield_unit,
+    total,
+    perServing: Object.fromEntries(
+      MACROS.map((macro) => [macro, round(total[macro] / servings)])
+    ),
+    created_at: recipe.created_at,
+    updated_at: recipe.updated_at,
+  };
+
+  if (ingredients) {
+    formatted.ingredients = ingredients;
+  }
+  return formatted;
+}
+
+// Nutrients for `servings` servings of a formatted recipe, in the shape
+// POST /log accepts
+export function scaleRecipe(recipe, servings = 1) {
+  const portion = servings / recipe.servings;
+  return {
+    calories: recipe.total.calories * portion,
+    protein: recipe.total.protein * portion,
+    totalCarbs: recipe.total.carbs * portion,
+    totalFat: recipe.total.fats * portion,
+  };
+}
+
+export function formatRecipeServing(servings = 1) {
+  return `${Number(servings.toFixed(2))} serving${servings === 1 ? "" : "s"}`;
+}
+
+// A user's recipe with its ingredients, or null
+export async function getRecipe(client, recipeId, userId) {
+  const recipe = await client.query(
+    "SELECT * FROM recipes WHERE id = $1 AND user_id = $2",
+    [recipeId, userId]
+  );
+  if (recipe.rows.length === 0) {
+    return null;
+  }
+
+  const ingredients = await client.query(
+    `SELECT ri.id, ri.food_id, ri.name, ri.quantity, ri.unit, ri.serving_size,
+            ri.calories, ri.protein, ri.carbs, ri.fats,
+            f.diet_tags, f.allergens
+     FROM recipe_ingredients ri
+     LEFT JOIN foods f ON f.id = ri.food_id
+     WHERE ri.recipe_id = $1
+     ORDER BY ri.position`,
+    [recipeId]
+  );
+
+  return formatRecipe(recipe.rows[0], ingredients.rows);
+}
+
+// Dietary warnings for a recipe are those of its ingredients
+export function getRecipeWarnings(recipe, restrictions) {
+  return recipe.ingredients.flatMap((ingredient) =>
+    getDietaryWarnings(ingredient, restrictions)
+  );
+}
@@ -0,0 +1,123 @@
+import { isValidDateString } from "../middleware/validation.mjs";
+
+// Calorie and macro recommendations from the body data in
+// user_preferences: BMR by Mifflin-St Jeor, TDEE from the activity level,
+// then a calorie adjustment and macro split for the user's goal.
+
+export const SEXES = ["male", "female"];
+
+export const ACTIVITY_MULTIPLIERS = {
+  sedentary: 1.2,
+  light: 1.375,
+  moderate: 1.55,
+  active: 1.725,
+  very_active: 1.9,
+};
+
+// Calorie adjustment and protein (g per kg of body weight) per goal
+export const FITNESS_GOALS = {
+  cut: { calorieFactor: 0.8, proteinPerKg: 2.2 },
+  maintain: { calorieFactor: 1, proteinPerKg: 1.8 },
+  bulk: { calorieFactor: 1.1, proteinPerKg: 2.0 },
+};
+
+// Fat gets this share of calories, but never less than 0.6 g/kg
+const FAT_CALORIE_SHARE = 0.25;
+const MIN_FAT_PER_KG = 0.6;
+
+// Calorie floors; eating less should be medically supervised
+const MIN_CALORIES = { male: 1500, female: 1200 };
+
+export const BODY_FIELDS = [
+  "height_cm",
+  "weight_kg",
+  "birth_date",
+  "sex",
+  "activity_level",
+  "fitness_goal",
+];
+
+export function validateBodyProfile(body) {
+  const { height_cm, weight_kg, birth_date, sex, activity_level, fitness_goal } = body;
+
+  if (height_cm !== undefined && height_cm !== null &&
+      (typeof height_cm !== "number" || height_cm < 50 || height_cm > 280)) {
+    return "height_cm must be between 50 and 280";
+  }
+  if (weight_kg !== undefined && weight_kg !== null &&
+      (typeof weight_kg !== "number" || weight_kg < 20 || weight_kg > 500)) {
+    return "weight_kg must be between 20 and 500";
+  }
+  if (birth_date !== undefined && birth_date !== null &&
+      (!isValidDateString(birth_date) || new Date(birth_date) > new Date())) {
+    return "birth_date must be a past date in YYYY-MM-DD format";
+  }
+  if (sex !== undefined && sex !== null && !SEXES.includes(sex)) {
+    return `sex must be one of: ${SEXES.join(", ")}`;
+  }
+  if (activity_level !== undefined && activity_level !== null && !ACTIVITY_MULTIPLIERS[activity_level]) {
+    return `activity_level must be one of: ${Object.keys(ACTIVITY_MULTIPLIERS).join(", ")}`;
+  }
+  if (fitness_goal !== undefined && fitness_goal !== null && !FITNESS_GOALS[fitness_goal]) {
+    return `fitness_goal must be one of: ${Object.keys(FITNESS_GOALS).join(", ")}`;
+  }
+  return null;
+}
+
+function ageOn(birthDate, today = new Date()) {
+  const birth = new Date(birthDate);
+  const age = today.getFullYear() - birth.getFullYear();
+  const hadBirthday =
+    today.getMonth() > birth.getMonth() ||
+    (today.getMonth() === birth.getMonth() && today.getDate() >= birth.getDate());
+  return hadBirthday ? age : age - 1;
+}
+
+// Recommendations for a user_preferences row. Throws an error with status
+// 400 and a `missing` list when body data is incomplete.
+export function calculateNutritionRecommendations(profile) {
+  const missing = ["height_cm", "weight_kg", "birth_date", "sex"].filter(
+    (field) => profile[field] === null || profile[field] === undefined
+  );
+  if (missing.length > 0) {
+    const error = new Error(`Missing body data: ${missing.join(", ")}`);
+    error.status = 400;
+    error.missing = missing;
+    throw error;
+  }
+
+  const height = parseFloat(profile.height_cm);
+  const weight = parseFloat(profile.weight_kg);
+  const age = ageOn(profile.birth_date);
+  const activityLevel = profile.activity_level || "sedentary";
+  const fitnessGoal = profile.fitness_goal || "maintain";
+  const goal = FITNESS_GOALS[fitnessGoal];
+
+  const bmr = 10 * weight + 6.25 * height - 5 * age + (profile.sex === "male" ? 5 : -161);
+  const tdee = bmr * ACTIVITY_MULTIPLIERS[activityLevel];
+  const calories = Math.max(tdee * goal.calorieFactor, MIN_CALORIES[profile.sex]);
+
+  const protein = weight * goal.proteinPerKg;
+  const fats = Math.max((calories * FAT_CALORIE_SHARE) / 9, weight * MIN_FAT_PER_KG);
+  const carbs = Math.max((calories - protein * 4 - fats * 9) / 4, 0);
+
+  return {
+    inputs: {
+      age,
+      height_cm: height,
+      weight_kg: weight,
+      sex: profile.sex,
+      activity_level: activityLevel,
+      fitness_goal: fitnessGoal,
+    },
+    bmr: Math.round(bmr),
+    tdee: Math.round(tdee),
+    // In the shape of nutrition_goals, ready for POST /recommendations/apply
+    goals: {
+      calorie_goal: Math.round(calories),
+      protein_goal: Math.round(protein),
+      carbs_goal: Math.round(carbs),
+      fats_goal: Math.round(fats),
+    },
+  };
+}
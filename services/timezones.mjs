@@ -0,0 +1,76 @@
+// Users pick an IANA timezone in their preferences. Dates and times they
+// send ("2024-05-01", "12:30") are read in that timezone.
+
+export const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || "UTC";
+
+// Allow for clocks that are slightly ahead of ours
+const FUTURE_TOLERANCE_MINUTES = 5;
+
+// The canonical spelling of an IANA timezone name, or null if Postgres does
+// not know it. Checked against the database because that is where dates
+// are converted (AT TIME ZONE).
+export async function findTimezone(client, timezone) {
+  if (typeof timezone !== "string" || !timezone) {
+    return null;
+  }
+  const result = await client.query(
+    "SELECT name FROM pg_timezone_names WHERE LOWER(name) = LOWER($1) LIMIT 1",
+    [timezone]
+  );
+  return result.rows[0]?.name || null;
+}
+
+export function isValidTimeString(value) {
+  return typeof value === "string" && /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(value);
+}
+
+export async function getUserTimezone(client, userId) {
+  const result = await client.query(
+    "SELECT timezone FROM user_preferences WHERE user_id = $1",
+    [userId]
+  );
+  return result.rows[0]?.timezone || DEFAULT_TIMEZONE;
+}
+
+// Today's date (YYYY-MM-DD) in `timezone`
+export async function localToday(client, timezone) {
+  const result = await client.query(
+    "SELECT to_char(NOW() AT TIME ZONE $1, 'YYYY-MM-DD') AS today",
+    [timezone]
+  );
+  return result.rows[0].today;
+}
+
+// The instant for a local `date` and `time` in `timezone`. A missing date
+// means today there, a missing time the current time of day there. Future
+// instants are rejected unless `allowFuture` is set. Resolves to
+// { loggedAt } or { error }.
+export async function resolveLocalTime(client, { date, time }, timezone, { allowFuture = false } = {}) {
+  const result = await client.query(
+    `SELECT local_time AS logged_at,
+            local_time > NOW() + make_interval(mins => $4) AS in_future
+     FROM (
+       SELECT (
+         COALESCE($1::date, (NOW() AT TIME ZONE $3)::date) +
+         COALESCE($2::time, (NOW() AT TIME ZONE $3)::time)
+       ) AT TIME ZONE $3 AS local_time
+     ) t`,
+    [date || null, time || null, timezone, FUTURE_TOLERANCE_MINUTES]
+  );
+
+  const { logged_at, in_future } = result.rows[0];
+  if (in_future && !allowFuture) {
+    return { error: `That time is in the future in your timezone (${timezone})` };
+  }
+  return { loggedAt: logged_at };
+}
+
+// The local date (YYYY-MM-DD) and time (HH:MM:SS) of an instant
+export async function toLocalParts(client, instant, timezone) {
+  const result = await client.query(
+    `SELECT to_char($1::timestamptz AT TIME ZONE $2, 'YYYY-MM-DD') AS date,
+            to_char($1::timestamptz AT TIME ZONE $2, 'HH24:MI:SS') AS time`,
+    [instant, timezone]
+  );
+  return result.rows[0];
+}
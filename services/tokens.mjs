@@ -0,0 +1,245 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+
+// Access tokens are short-lived; refresh tokens rotate on every use
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || "30");
+
+// Random opaque token for links sent by email; only its hash is stored
+export function generateToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+export function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { id: user.id, username: user.username, role: user.role, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL, jwtid: crypto.randomUUID() }
+  );
+}
+
+// Short-lived token proving the password step of a two-factor login.
+// The purpose claim keeps authenticateToken from accepting it.
+export function signChallengeToken(user) {
+  return jwt.sign(
+    { id: user.id, purpose: "2fa_challenge" },
+    process.env.JWT_SECRET,
+    { expiresIn: "5m" }
+  );
+}
+
+export function verifyChallengeToken(token) {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    return payload.purpose === "2fa_challenge" ? payload : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function createRefreshToken(client, userId, familyId, sessionId) {
+  const refreshToken = crypto.randomBytes(48).toString("base64url");
+
+  const result = await client.query(
+    `INSERT INTO refresh_tokens (user_id, token_hash, family_id, session_id, expires_at)
+     VALUES ($1, $2, $3, $4, NOW() + make_interval(days => $5))
+     RETURNING id, expires_at`,
+    [userId, hashToken(refreshToken), familyId, sessionId, REFRESH_TOKEN_TTL_DAYS]
+  );
+
+  return { refreshToken, ...result.rows[0] };
+}
+
+// Start a new session for a user and issue its first access/refresh token
+// pair. `req` supplies the user agent and IP shown in the session list.
+export async function issueTokens(client, user, req) {
+  const session = await client.query(
+    `INSERT INTO sessions (user_id, user_agent, ip_address)
+     VALUES ($1, $2, $3)
+     RETURNING id`,
+    [user.id, req.get("user-agent") || null, req.ip]
+  );
+  const sessionId = session.rows[0].id;
+
+  const { refreshToken, expires_at } = await createRefreshToken(
+    client,
+    user.id,
+    crypto.randomUUID(),
+    sessionId
+  );
+
+  return {
+    token: signAccessToken(user, sessionId),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+    refreshExpiresAt: expires_at,
+  };
+}
+
+// Exchange a refresh token for a new pair. Presenting a token that was
+// already rotated revokes its whole family and session, since it has likely
+// been stolen.
+export async function rotateRefreshToken(client, refreshToken, req) {
+  const result = await client.query(
+    `SELECT rt.id, rt.user_id, rt.family_id, rt.session_id, rt.expires_at,
+            rt.revoked_at, s.revoked_at AS session_revoked_at,
+            u.username, u.role, u.disabled_at
+     FROM refresh_tokens rt
+     JOIN users u ON u.id = rt.user_id
+     LEFT JOIN sessions s ON s.id = rt.session_id
+     WHERE rt.token_hash = $1
+     FOR UPDATE OF rt`,
+    [hashToken(refreshToken)]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const stored = result.rows[0];
+
+  if (stored.revoked_at) {
+    await client.query(
+      `UPDATE refresh_tokens
+       SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP)
+       WHERE family_id = $1`,
+      [stored.family_id]
+    );
+    if (stored.session_id) {
+      await revokeSession(client, stored.user_id, stored.session_id);
+    }
+    return null;
+  }
+
+  if (
+    stored.session_revoked_at ||
+    stored.disabled_at ||
+    new Date(stored.expires_at) <= new Date()
+  ) {
+    return null;
+  }
+
+  const next = await createRefreshToken(
+    client,
+    stored.user_id,
+    stored.family_id,
+    stored.session_id
+  );
+
+  await client.query(
+    `UPDATE refresh_tokens
+     SET revoked_at = CURRENT_TIMESTAMP, replaced_by = $1
+     WHERE id = $2`,
+    [next.id, stored.id]
+  );
+
+  if (stored.session_id) {
+    await client.query(
+      `UPDATE sessions
+       SET last_seen_at = CURRENT_TIMESTAMP, ip_address = $2
+       WHERE id = $1`,
+      [stored.session_id, req.ip]
+    );
+  }
+
+  const user = { id: stored.user_id, username: stored.username, role: stored.role };
+
+  return {
+    user,
+    token: signAccessToken(user, stored.session_id),
+    refreshToken: next.refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+    refreshExpiresAt: next.expires_at,
+  };
+}
+
+// Revoke the family a refresh token belongs to
+export async function revokeRefreshToken(client, refreshToken, userId) {
+  await client.query(
+    `UPDATE refresh_tokens
+     SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP)
+     WHERE family_id = (
+       SELECT family_id FROM refresh_tokens
+       WHERE token_hash = $1 AND user_id = $2
+     )`,
+    [hashToken(refreshToken), userId]
+  );
+}
+
+// End one session along with its refresh tokens. Returns false if the
+// session does not belong to the user or is already revoked.
+export async function revokeSession(client, userId, sessionId) {
+  const result = await client.query(
+    `UPDATE sessions
+     SET revoked_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+     RETURNING id`,
+    [sessionId, userId]
+  );
+
+  await client.query(
+    `UPDATE refresh_tokens
+     SET revoked_at = CURRENT_TIMESTAMP
+     WHERE session_id = $1 AND user_id = $2 AND revoked_at IS NULL`,
+    [sessionId, userId]
+  );
+
+  return result.rows.length > 0;
+}
+
+// End every session except `keepSessionId` (which may be undefined).
+// Returns the number of sessions revoked.
+export async function revokeOtherSessions(client, userId, keepSessionId) {
+  const result = await client.query(
+    `UPDATE sessions
+     SET revoked_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1
+     AND revoked_at IS NULL
+     AND id IS DISTINCT FROM $2
+     RETURNING id`,
+    [userId, keepSessionId ?? null]
+  );
+
+  // Tokens issued before sessions existed have no session_id
+  await client.query(
+    `UPDATE refresh_tokens
+     SET revoked_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1
+     AND revoked_at IS NULL
+     AND session_id IS DISTINCT FROM $2`,
+    [userId, keepSessionId ?? null]
+  );
+
+  return result.rows.length;
+}
+
+// Log a user out everywhere: end all sessions and reject any access token
+// issued before now
+export async function revokeAllUserTokens(client, userId) {
+  await revokeOtherSessions(client, userId);
+  await client.query(
+    `UPDATE users SET tokens_valid_after = CURRENT_TIMESTAMP WHERE id = $1`,
+    [userId]
+  );
+}
+
+// Add an access token to the denylist until it would have expired anyway
+export async function revokeAccessToken(client, payload) {
+  if (!payload.jti) {
+    return;
+  }
+
+  await client.query(
+    `INSERT INTO revoked_tokens (jti, user_id, expires_at)
+     VALUES ($1, $2, to_timestamp($3))
+     ON CONFLICT (jti) DO NOTHING`,
+    [payload.jti, payload.id, payload.exp]
+  );
+
+  // Expired entries can never match a valid token again
+  await client.query("DELETE FROM revoked_tokens WHERE expires_at < NOW()");
+}
@@ -0,0 +1,148 @@
+import crypto from "crypto";
+import { hashToken } from "./tokens.mjs";
+
+// RFC 6238 TOTP with the defaults every authenticator app supports:
+// SHA-1, 6 digits, 30 second steps
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const RECOVERY_CODE_COUNT = 10;
+
+function base32Encode(buffer) {
+  let bits = "";
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, "0");
+  }
+
+  let output = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return output;
+}
+
+function base32Decode(input) {
+  let bits = "";
+  for (const char of input.replace(/=+$/, "").toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 character");
+    }
+    bits += index.toString(2).padStart(5, "0");
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+export function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+export function currentStep() {
+  return Math.floor(Date.now() / 1000 / STEP_SECONDS);
+}
+
+function generateCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+// Returns the matching time step, allowing one step of clock drift either
+// way, or null. Steps at or before `lastUsedStep` are rejected so a code
+// cannot be replayed.
+export function verifyCode(secret, code, lastUsedStep = null) {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const now = currentStep();
+  for (const step of [now - 1, now, now + 1]) {
+    if (lastUsedStep !== null && step <= Number(lastUsedStep)) {
+      continue;
+    }
+
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+export function otpauthUri(secret, accountName) {
+  const issuer = process.env.TOTP_ISSUER || "Fitness Nutrition";
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  // Some authenticator apps do not decode "+" as a space
+  return `otpauth://totp/${label}?${params.toString().replace(/\+/g, "%20")}`;
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+// Replace a user's recovery codes, returning the plaintext codes once
+export async function regenerateRecoveryCodes(client, userId) {
+  await client.query("DELETE FROM totp_recovery_codes WHERE user_id = $1", [userId]);
+
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString("hex");
+    const code = `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    codes.push(code);
+
+    await client.query(
+      "INSERT INTO totp_recovery_codes (user_id, code_hash) VALUES ($1, $2)",
+      [userId, hashToken(normalizeRecoveryCode(code))]
+    );
+  }
+  return codes;
+}
+
+// Mark a recovery code as used; returns false if it is unknown or spent
+export async function consumeRecoveryCode(client, userId, code) {
+  const result = await client.query(
+    `UPDATE totp_recovery_codes
+     SET used_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+     RETURNING id`,
+    [userId, hashToken(normalizeRecoveryCode(code))]
+  );
+  return result.rows.length > 0;
+}
+
+// Check a TOTP or recovery code for a user with 2FA enabled.
+// `user` needs id, totp_secret and totp_last_used_step.
+export async function verifySecondFactor(client, user, { code, recoveryCode }) {
+  if (recoveryCode) {
+    return consumeRecoveryCode(client, user.id, recoveryCode);
+  }
+
+  const step = verifyCode(user.totp_secret, code, user.totp_last_used_step);
+  if (step === null) {
+    return false;
+  }
+
+  await client.query(
+    "UPDATE users SET totp_last_used_step = $1 WHERE id = $2",
+    [step, user.id]
+  );
+  return true;
+}
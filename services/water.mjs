@@ -0,0 +1,69 @@
+import { compareToGoal } from "./nutritionSummary.mjs";
+
+// Water and beverage intake. Amounts are stored in millilitres and read and
+// written in the user's unit system (user_preferences.units): millilitres
+// for "metric", US fluid ounces for "imperial".
+
+export const ML_PER_FL_OZ = 29.5735;
+
+export const WATER_UNITS = { metric: "ml", imperial: "fl oz" };
+
+// Used until the user sets their own target
+export const DEFAULT_WATER_GOAL_ML = 2000;
+
+// Largest single entry, in millilitres
+const MAX_WATER_AMOUNT_ML = 5000;
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+export function toMl(amount, units) {
+  return units === "imperial" ? amount * ML_PER_FL_OZ : amount;
+}
+
+export function fromMl(amountMl, units) {
+  return round(units === "imperial" ? amountMl / ML_PER_FL_OZ : amountMl);
+}
+
+export function validateWaterAmount(amount, units) {
+  if (typeof amount !== "number" || amount <= 0) {
+    return "Amount must be a positive number";
+  }
+  if (toMl(amount, units) > MAX_WATER_AMOUNT_ML) {
+    return `Amount cannot be more than ${fromMl(MAX_WATER_AMOUNT_ML, units)} ${WATER_UNITS[units]}`;
+  }
+  return null;
+}
+
+// The user's unit system and daily target in millilitres
+export async function getWaterSettings(client, userId) {
+  const result = await client.query(
+    "SELECT units, water_goal_ml FROM user_preferences WHERE user_id = $1",
+    [userId]
+  );
+  const row = result.rows[0] || {};
+  return {
+    units: row.units === "imperial" ? "imperial" : "metric",
+    goalMl: row.water_goal_ml || DEFAULT_WATER_GOAL_ML,
+  };
+}
+
+// Shape a water_logs row for responses in `units`
+export function formatWaterLog(row, units) {
+  return {
+    id: row.id,
+    beverage: row.beverage,
+    amount: fromMl(parseFloat(row.amount_ml), units),
+    unit: WATER_UNITS[units],
+    logged_at: row.logged_at,
+  };
+}
+
+// Consumed vs. target for a day, in `units`
+export function summarizeWater(consumedMl, goalMl, units) {
+  return {
+    unit: WATER_UNITS[units],
+    ...compareToGoal(fromMl(consumedMl, units), fromMl(goalMl, units)),
+  };
+}